@@ -0,0 +1,148 @@
+// Accessibility checks for the portfolio shell. a11y-test.html loads the site in frames
+// and runs these against them; each check returns { id, pass, detail }.
+class A11yAudit {
+    static accessibleName(el, doc) {
+        const labelledby = el.getAttribute('aria-labelledby');
+        if (labelledby) {
+            return labelledby.split(/\s+/).map(id => {
+                const ref = doc.getElementById(id);
+                return ref ? ref.textContent : '';
+            }).join(' ').trim();
+        }
+        if (el.getAttribute('aria-label')) return el.getAttribute('aria-label').trim();
+        if (el.id && doc.querySelector(`label[for="${el.id}"]`)) return doc.querySelector(`label[for="${el.id}"]`).textContent.trim();
+        const wrapping = el.closest('label');
+        if (wrapping) return wrapping.textContent.trim();
+
+        const clone = el.cloneNode(true);
+        clone.querySelectorAll('[aria-hidden="true"]').forEach(node => node.remove());
+        const text = clone.textContent.trim();
+        if (text) return text;
+        const img = el.querySelector('img[alt]');
+        if (img && img.alt) return img.alt;
+        return (el.getAttribute('title') || '').trim();
+    }
+
+    static isHidden(el) {
+        return Boolean(el.closest('[aria-hidden="true"], [hidden]'));
+    }
+
+    static check(id, failures, detail) {
+        return { id, pass: failures.length === 0, detail: failures.length ? `${detail}: ${failures.slice(0, 5).join(', ')}` : detail };
+    }
+
+    static describe(el) {
+        return `<${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${el.className && typeof el.className === 'string' ? `.${el.className.split(/\s+/)[0]}` : ''}>`;
+    }
+
+    static run(doc) {
+        const results = [];
+        const all = selector => Array.from(doc.querySelectorAll(selector));
+        const describe = A11yAudit.describe;
+
+        results.push(A11yAudit.check('document-lang', doc.documentElement.lang ? [] : ['<html>'], 'html[lang] is set'));
+
+        results.push(A11yAudit.check('img-alt', all('img:not([alt])').map(describe), 'Images have alt text'));
+
+        results.push(A11yAudit.check('canvas-alternative', all('canvas').filter(canvas =>
+            !A11yAudit.isHidden(canvas) && !(canvas.getAttribute('role') === 'img' && A11yAudit.accessibleName(canvas, doc))
+        ).map(describe), 'Canvases are aria-hidden or have role="img" and a label'));
+
+        const interactive = 'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [role="option"]';
+        results.push(A11yAudit.check('control-name', all(interactive).filter(el =>
+            !A11yAudit.isHidden(el) && !el.closest('.contact-trap') && !A11yAudit.accessibleName(el, doc)
+        ).map(describe), 'Controls have an accessible name'));
+
+        results.push(A11yAudit.check('clickable-divs', all('div[onclick], span[onclick], #mobile-menu-toggle').filter(el =>
+            el.tagName !== 'BUTTON' && el.getAttribute('role') !== 'button'
+        ).map(describe), 'Click targets are buttons'));
+
+        const toggle = doc.getElementById('mobile-menu-toggle');
+        results.push(A11yAudit.check('menu-toggle', toggle && toggle.hasAttribute('aria-expanded') && toggle.getAttribute('aria-controls') ? [] : ['#mobile-menu-toggle'],
+            'Mobile menu toggle exposes aria-expanded and aria-controls'));
+
+        const ids = {};
+        all('[id]').forEach(el => {
+            ids[el.id] = (ids[el.id] || 0) + 1;
+        });
+        results.push(A11yAudit.check('duplicate-ids', Object.keys(ids).filter(id => ids[id] > 1), 'IDs are unique'));
+
+        const missing = [];
+        // Closed overlays render their labels on open, so only visible references are checked
+        all('[aria-controls], [aria-describedby], [aria-labelledby]').filter(el => !A11yAudit.isHidden(el)).forEach(el => {
+            ['aria-controls', 'aria-describedby', 'aria-labelledby'].forEach(attr => {
+                (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean).forEach(id => {
+                    if (!doc.getElementById(id)) missing.push(`${attr}=${id}`);
+                });
+            });
+        });
+        results.push(A11yAudit.check('aria-references', missing, 'ARIA ID references resolve'));
+
+        const current = all('.nav-link[aria-current]');
+        results.push(A11yAudit.check('nav-current', current.length === 1 ? [] : [`${current.length} links`], 'Exactly one nav link has aria-current'));
+
+        const roving = all('.nav-link[tabindex="0"]');
+        results.push(A11yAudit.check('nav-roving', roving.length === 1 && all('.nav-link').every(link => link.hasAttribute('tabindex')) ? [] : [`${roving.length} tabbable links`],
+            'Nav uses a roving tabindex'));
+
+        const skips = all('.skip-link');
+        const firstFocusable = doc.querySelector('a[href], button, input, select, textarea');
+        const skipFailures = skips.filter(link => !doc.getElementById(link.getAttribute('href').slice(1))).map(describe);
+        if (!skips.length || firstFocusable !== skips[0]) skipFailures.push('skip link is not the first focusable element');
+        results.push(A11yAudit.check('skip-links', skipFailures, 'Skip links come first and resolve'));
+
+        const live = doc.getElementById('a11y-announcer');
+        results.push(A11yAudit.check('live-region', live && live.getAttribute('aria-live') ? [] : ['#a11y-announcer'], 'A live region announces section changes'));
+
+        const animated = ['hero-typewriter', 'sidebar-role-typewriter'].map(id => doc.getElementById(id)).filter(Boolean);
+        const summaries = ['hero-summary', 'sidebar-role-summary'].map(id => doc.getElementById(id));
+        results.push(A11yAudit.check('animated-text', [
+            ...animated.filter(el => el.getAttribute('aria-hidden') !== 'true').map(describe),
+            ...summaries.filter(el => !el || !el.textContent.trim()).map((el, i) => `summary ${i + 1} empty`)
+        ], 'Typewriters are hidden from screen readers and summarised'));
+
+        results.push(A11yAudit.check('single-h1', all('h1').length === 1 ? [] : [`${all('h1').length} h1 elements`], 'The page has one h1'));
+
+        results.push(A11yAudit.check('dialogs', all('[role="dialog"]').filter(el => !A11yAudit.isHidden(el) && (
+            el.getAttribute('aria-modal') !== 'true' || !A11yAudit.accessibleName(el, doc))
+        ).map(describe), 'Dialogs are modal and labelled'));
+
+        results.push(A11yAudit.check('positive-tabindex', all('[tabindex]').filter(el => parseInt(el.getAttribute('tabindex'), 10) > 0).map(describe),
+            'No positive tabindex values'));
+
+        return results;
+    }
+
+    // Drives the mobile menu by keyboard inside a narrow frame.
+    static async keyboard(win) {
+        const doc = win.document;
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const key = (target, name, options = {}) => target.dispatchEvent(new win.KeyboardEvent('keydown', Object.assign({ key: name, bubbles: true, cancelable: true }, options)));
+        const toggle = doc.getElementById('mobile-menu-toggle');
+        const sidebar = doc.getElementById('main-sidebar');
+        const results = [];
+        if (!toggle || !sidebar) return [{ id: 'menu-keyboard', pass: false, detail: 'Mobile menu not found' }];
+
+        const narrow = win.matchMedia('(max-width: 992px)').matches;
+        results.push({ id: 'menu-inert', pass: !narrow || sidebar.inert === true, detail: narrow ? 'Closed sidebar is inert on small screens' : 'Frame is not narrow; inert check skipped' });
+
+        toggle.focus();
+        toggle.click();
+        await wait(50);
+        results.push({ id: 'menu-open', pass: toggle.getAttribute('aria-expanded') === 'true' && sidebar.contains(doc.activeElement), detail: 'Opening moves focus into the sidebar and sets aria-expanded' });
+
+        const start = doc.activeElement;
+        key(start, 'ArrowDown');
+        results.push({ id: 'nav-arrows', pass: doc.activeElement !== start && doc.activeElement.classList.contains('nav-link'), detail: 'Arrow keys move between nav links' });
+
+        toggle.focus();
+        key(toggle, 'Tab', { shiftKey: true });
+        results.push({ id: 'menu-trap', pass: sidebar.contains(doc.activeElement), detail: 'Shift+Tab from the toggle wraps into the open sidebar' });
+
+        key(doc.activeElement, 'Escape');
+        await wait(50);
+        results.push({ id: 'menu-escape', pass: toggle.getAttribute('aria-expanded') === 'false' && doc.activeElement === toggle, detail: 'Escape closes the menu and returns focus to the toggle' });
+
+        return results;
+    }
+}
@@ -0,0 +1,85 @@
+// Local stand-in for the analytics endpoint. Serves the site from this folder and accepts the
+// beacon sink's batches on POST /analytics, printing each event; GET /analytics returns
+// everything received so far. No dependencies:
+//
+//     node analytics-stub.js            (PORT=8080 by default)
+//     open http://localhost:8080/?analytics=beacon,console
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const PORT = Number(process.env.PORT) || 8080;
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+const received = [];
+
+function collect(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > 1e6) req.destroy();
+    });
+    req.on('end', () => {
+        try {
+            const events = JSON.parse(body).events || [];
+            events.forEach(event => {
+                received.push(event);
+                const { type, at, session, ...data } = event;
+                console.log(`${at}  ${session}  ${type.padEnd(16)} ${JSON.stringify(data)}`);
+            });
+            res.writeHead(204);
+        } catch (err) {
+            res.writeHead(400);
+        }
+        res.end();
+    });
+}
+
+function serve(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, `http://localhost:${PORT}`).pathname);
+    } catch (err) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const file = path.join(ROOT, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+    // Stay inside this folder and keep .git and other dot-directories private.
+    const inside = file.startsWith(ROOT + path.sep);
+    if (!inside || path.relative(ROOT, file).split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    if (req.url.split('?')[0] === '/analytics') {
+        if (req.method === 'POST') {
+            collect(req, res);
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(received, null, 2));
+        }
+        return;
+    }
+    serve(req, res);
+}).listen(PORT, () => console.log(`Serving ${ROOT} on http://localhost:${PORT} (analytics on /analytics)`));
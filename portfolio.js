@@ -0,0 +1,130 @@
+const PORTFOLIO = {
+    about: {
+        bio: [
+            'I am a passionate **Machine Learning Engineer** currently pursuing an M.Tech in Information Technology at **ABV-IIITM Gwalior**.',
+            'My focus is on data analysis, algorithmic problem solving, and building scalable AI models. I enjoy working in environments that challenge my skills and require innovative solutions.'
+        ],
+        specs: [
+            { label: 'DEGREE', value: 'M.Tech (IT)' },
+            { label: 'INSTITUTE', value: 'ABV-IIITM Gwalior' },
+            { label: 'CGPA', value: '8.8', accent: 'green' },
+            { label: 'LOCATION', value: 'Gwalior, MP' }
+        ]
+    },
+    skills: {
+        core: [
+            { name: 'PYTHON', icon: 'devicon-python-plain colored', level: 95 },
+            { name: 'PANDAS', icon: 'devicon-pandas-original colored', level: 90 },
+            { name: 'NUMPY', icon: 'devicon-numpy-original colored', level: 90 },
+            { name: 'SCIKIT-LEARN', icon: 'devicon-scikitlearn-plain colored', level: 85 },
+            { name: 'DEEP LEARNING', icon: 'devicon-tensorflow-original colored', level: 80 },
+            { name: 'SQL / DB', icon: 'devicon-mysql-plain colored', level: 75 }
+        ],
+        soft: [
+            { name: 'Problem Solving', icon: 'fas fa-puzzle-piece' },
+            { name: 'Adaptability', icon: 'fas fa-sync-alt' },
+            { name: 'Attention to Detail', icon: 'fas fa-search-plus' },
+            { name: 'Hardworking', icon: 'fas fa-fist-raised' },
+            { name: 'Analytical Thinking', icon: 'fas fa-chart-line' }
+        ]
+    },
+    projects: [
+        {
+            title: 'Real Time Sentiment Analysis',
+            description: 'A Python-based system to evaluate public opinions from social media posts. Implements **NLP techniques** like tokenization, stopword removal, and lemmatization.',
+            repo: '#',
+            stack: ['Python', 'NLTK', 'Scikit-learn'],
+            details: {
+                overview: [
+                    'A Python-based system to evaluate public opinions from social media posts.',
+                    'Implements **NLP techniques** like tokenization, stopword removal, and lemmatization.'
+                ],
+                highlights: [
+                    'Tokenization, stopword removal and lemmatization of social media posts',
+                    'Built with Python, NLTK and Scikit-learn'
+                ]
+            }
+        },
+        {
+            title: 'Student Performance Predictor',
+            description: 'Built a Machine Learning model to predict student grades using study and attendance data. Features rigorous data preprocessing with **Pandas** and feature analysis.',
+            repo: '#',
+            stack: ['Python', 'ML Regression', 'Pandas'],
+            details: {
+                overview: [
+                    'Built a Machine Learning model to predict student grades using study and attendance data.',
+                    'Features rigorous data preprocessing with **Pandas** and feature analysis.'
+                ],
+                highlights: [
+                    'Predicts student grades from study and attendance data',
+                    'Data preprocessing with Pandas',
+                    'Feature analysis'
+                ]
+            }
+        },
+        {
+            title: 'Banking System Simulation',
+            description: 'A mini-project simulating fundamental banking operations. Focuses on efficient **Data Structures**, algorithms, and secure file handling mechanisms.',
+            repo: '#',
+            stack: ['Algorithms', 'File I/O', 'Security'],
+            details: {
+                overview: [
+                    'A mini-project simulating fundamental banking operations.',
+                    'Focuses on efficient **Data Structures**, algorithms, and secure file handling mechanisms.'
+                ],
+                highlights: [
+                    'Efficient data structures and algorithms',
+                    'Secure file handling mechanisms'
+                ]
+            }
+        }
+    ],
+    education: [
+        {
+            period: 'Aug 2025 - Present',
+            type: 'POST GRADUATION',
+            level: 'university',
+            degree: 'M.Tech - Information Technology',
+            institute: 'ABV-IIITM Gwalior',
+            summary: "Pursuing Master's degree. Focusing on advanced AI concepts, Research Methodology, and System Design.",
+            tag: 'CGPA: 8.8'
+        },
+        {
+            period: 'Jul 2021 - Jul 2025',
+            type: 'GRADUATION',
+            level: 'university',
+            degree: 'B.Tech - Computer Science',
+            institute: 'Dr. A.P.J. Abdul Kalam Technical University',
+            summary: 'Completed undergraduate studies with a focus on CS fundamentals, DSA, and Web Technologies.',
+            tag: 'CGPA: 7.59'
+        },
+        {
+            period: '2019 - 2021',
+            type: 'HIGHER SECONDARY',
+            level: 'school',
+            degree: 'Class XII (Intermediate)',
+            institute: 'Senior Secondary School',
+            summary: 'Focused on Physics, Chemistry, and Mathematics.',
+            tag: 'Completed'
+        },
+        {
+            period: '2017 - 2019',
+            type: 'SECONDARY',
+            level: 'school',
+            degree: 'Class X (Matriculation)',
+            institute: 'Secondary School',
+            summary: 'Completed foundational studies with distinction.',
+            tag: 'Completed'
+        }
+    ],
+    contact: {
+        name: 'Abhishek Kumar',
+        title: 'Machine Learning Engineer',
+        org: 'ABV-IIITM Gwalior',
+        channels: [
+            { type: 'email', label: 'EMAIL', value: 'abhishekr558u@gmail.com', kind: 'home' },
+            { type: 'email', label: 'COLLEGE EMAIL', value: 'mit_2025001@iiitm.ac.in', kind: 'work' },
+            { type: 'phone', label: 'PHONE', value: '+91 9639041729', kind: 'cell' }
+        ]
+    }
+};
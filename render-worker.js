@@ -0,0 +1,147 @@
+importScripts('script.js');
+
+const WORKER_SYSTEMS = {
+    'hero-network-canvas': NeuralNetworkSystem,
+    'neural-canvas': BackgroundSystem
+};
+
+// Events the page listens for that only fire inside the worker; they are relayed back to
+// the page's bus by RenderWorkerBridge.
+const RELAYED_EVENTS = ['network-forward'];
+
+class RenderWorkerHost {
+    constructor(scope) {
+        this.scope = scope;
+        this.systems = new Map();
+        this.running = false;
+        this.frameId = null;
+        this.cost = { frames: 0, work: 0, delta: 0 };
+        this.timestep = new FixedTimestep(CONFIG.core.fps);
+        this.schedule = typeof scope.requestAnimationFrame === 'function'
+            ? callback => scope.requestAnimationFrame(callback)
+            : callback => setTimeout(callback, 1000 / CONFIG.core.fps);
+        this.cancel = typeof scope.cancelAnimationFrame === 'function'
+            ? id => scope.cancelAnimationFrame(id)
+            : id => clearTimeout(id);
+
+        scope.addEventListener('message', (e) => this.handleMessage(e.data));
+        RELAYED_EVENTS.forEach(name => {
+            Events.on(name, payload => scope.postMessage({ type: 'event', name, payload }));
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'init':
+                this.init(message);
+                break;
+            case 'pointer':
+                Object.assign(STATE.mouse, message.mouse);
+                break;
+            case 'network':
+                Object.assign(STATE.network, message.network);
+                break;
+            case 'resize':
+                Object.assign(STATE.screen, message.screen);
+                CONFIG.core.isMobile = message.isMobile;
+                this.systems.forEach((system, id) => system.canvas.resize(message.sizes[id]));
+                Events.emit('resize', STATE.screen);
+                break;
+            case 'scroll':
+                this.systems.forEach((system, id) => {
+                    if (message.sizes[id]) {
+                        system.canvas.rect = message.sizes[id].rect;
+                    }
+                });
+                break;
+            case 'schedule':
+                this.systems.forEach(system => system.setCanvasSchedule(message.id, message.state));
+                break;
+            case 'quality':
+                STATE.quality = message.quality;
+                Events.emit('quality-change', STATE.quality);
+                break;
+            case 'motion':
+                CONFIG.core.reducedMotion = message.reduced;
+                Events.emit('motion-change', { reduced: message.reduced });
+                break;
+            case 'theme':
+                ThemeManager.setPalette(message.colors);
+                Events.emit('theme-change', { colors: message.colors });
+                break;
+            case 'pause':
+                this.stop();
+                break;
+            case 'resume':
+                this.start();
+                break;
+        }
+    }
+
+    init(message) {
+        Object.assign(STATE.screen, message.screen);
+        Object.assign(CONFIG.core, message.core);
+        ThemeManager.setPalette(message.colors);
+
+        message.canvases.forEach(entry => {
+            const System = WORKER_SYSTEMS[entry.id];
+            if (!System) return;
+            const system = new System(new OffscreenCanvasController(entry.id, entry.canvas, entry));
+            system.init();
+            this.systems.set(entry.id, system);
+        });
+
+        this.start();
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.timestep.reset();
+        this.loop();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frameId !== null) {
+            this.cancel(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    loop() {
+        if (!this.running) return;
+        const start = performance.now();
+
+        const { now, frame } = this.timestep.tick(dt => {
+            this.systems.forEach(system => system.update(dt));
+        });
+        this.systems.forEach(system => system.draw(this.timestep.alpha));
+
+        STATE.time.now = now;
+        STATE.time.delta = frame;
+        STATE.time.last = now;
+        STATE.time.elapsed += frame;
+        STATE.time.alpha = this.timestep.alpha;
+
+        this.report(performance.now() - start, frame);
+        this.frameId = this.schedule(() => this.loop());
+    }
+
+    // Frame cost goes back to the page in averages so the QualityGovernor can react to it.
+    report(work, delta) {
+        if (delta === 0) return;
+        const cost = this.cost;
+        cost.frames++;
+        cost.work += work;
+        cost.delta += delta;
+        if (cost.frames < CONFIG.perf.workerReportFrames) return;
+
+        this.scope.postMessage({ type: 'frame-cost', work: cost.work / cost.frames, delta: cost.delta / cost.frames });
+        cost.frames = 0;
+        cost.work = 0;
+        cost.delta = 0;
+    }
+}
+
+new RenderWorkerHost(self);
@@ -1,22 +1,56 @@
+const IS_WORKER = typeof document === 'undefined';
+
 const CONFIG = {
     core: {
         id: 'AK-SYS-V4.2',
         fps: 60,
+        referenceFps: 60,
+        maxFrameTime: 250,
         debug: false,
-        isMobile: window.innerWidth < 768,
-        reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        isMobile: !IS_WORKER && window.innerWidth < 768,
+        reducedMotion: !IS_WORKER && window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+        offscreen: !IS_WORKER && new URLSearchParams(window.location.search).has('offscreen'),
+        workerUrl: 'render-worker.js',
+        storagePrefix: 'ak-sys'
     },
     theme: {
-        colors: {
-            background: '#03080f',
-            cyan: '#00f0ff',
-            purple: '#7000ff',
-            pink: '#ff0055',
-            green: '#00ff9d',
-            white: '#ffffff',
-            glass: 'rgba(255, 255, 255, 0.05)',
-            grid: 'rgba(0, 240, 255, 0.1)'
+        default: 'cyber-dark',
+        themes: {
+            'cyber-dark': {
+                label: 'Cyber Dark',
+                colors: {
+                    background: '#03080f', surface: '#050b14', scrolled: '#010203',
+                    cyan: '#00f0ff', purple: '#7000ff', pink: '#ff0055', green: '#00ff9d', yellow: '#ffbd2e',
+                    text: '#e0f7fa', heading: '#ffffff', muted: '#8892b0', dim: '#4a5568', ink: '#ffffff'
+                }
+            },
+            light: {
+                label: 'Light',
+                colors: {
+                    background: '#eef3f8', surface: '#ffffff', scrolled: '#e4ebf3',
+                    cyan: '#0068a8', purple: '#5b2bd6', pink: '#c8004a', green: '#00805a', yellow: '#9a6700',
+                    text: '#1e2a38', heading: '#0b1320', muted: '#4d5b70', dim: '#6b7788', ink: '#0b1320'
+                }
+            },
+            'high-contrast': {
+                label: 'High Contrast',
+                colors: {
+                    background: '#000000', surface: '#000000', scrolled: '#000000',
+                    cyan: '#00ffff', purple: '#ff00ff', pink: '#ff4f8b', green: '#00ff00', yellow: '#ffff00',
+                    text: '#ffffff', heading: '#ffffff', muted: '#e6e6e6', dim: '#c8c8c8', ink: '#ffffff'
+                }
+            },
+            amber: {
+                label: 'Amber Terminal',
+                colors: {
+                    background: '#0a0600', surface: '#120b00', scrolled: '#050300',
+                    cyan: '#ffb000', purple: '#b36b00', pink: '#ff5f1f', green: '#ffd27a', yellow: '#ffcc33',
+                    text: '#ffe2a8', heading: '#fff3d6', muted: '#b58a4c', dim: '#7a5a2e', ink: '#fff3d6'
+                }
+            }
         },
+        colors: {},
+        rgb: {},
         fonts: {
             primary: 'Rajdhani, sans-serif',
             code: 'Fira Code, monospace'
@@ -31,29 +65,132 @@ const CONFIG = {
         floatSpeed: 0.5,
         floatRange: 20,
         pulseChance: 0.02,
+        inputs: ['x', 'y', 'x*y', 'r'],
+        outputCount: 3,
+        hiddenActivation: 'tanh',
+        outputActivation: 'sigmoid',
+        maxSignals: 60,
         signalSpeed: 0.15,
         nodeRadiusMin: 4,
         nodeRadiusMax: 12
     },
     bg: {
-        particleCountDesktop: 100,
-        particleCountMobile: 40,
+        particleCountDesktop: 500,
+        particleCountMobile: 120,
         connectionDistance: 140,
-        baseSpeed: 0.3
+        baseSpeed: 0.3,
+        lineAlpha: 0.15,
+        alphaBuckets: 8,
+        benchmarkFrames: 300
+    },
+    perf: {
+        throttleRatio: 0.35,
+        throttleInterval: 3,
+        workBudget: 8,
+        sampleFrames: 90,
+        workerReportFrames: 15,
+        downgradeCooldown: 2000,
+        upgradeCooldown: 8000,
+        levels: [
+            { name: 'high', particles: 1, nodes: 1, distance: 1, shadows: true },
+            { name: 'medium', particles: 0.7, nodes: 0.85, distance: 0.85, shadows: true },
+            { name: 'low', particles: 0.45, nodes: 0.7, distance: 0.7, shadows: false },
+            { name: 'minimal', particles: 0.25, nodes: 0.55, distance: 0.55, shadows: false }
+        ]
+    },
+    playground: {
+        samples: 200,
+        noise: 0.08,
+        batchSize: 10,
+        resolution: 48,
+        lossHistory: 300,
+        maxLayers: 3,
+        maxUnits: 16
+    },
+    // hours are indexed by weekday (0 = Sunday) in the zone's wall-clock time; holidays
+    // and away periods are inclusive 'YYYY-MM-DD' dates, e.g. { from, to, note }.
+    availability: {
+        timeZone: 'Asia/Kolkata',
+        zoneLabel: 'IST',
+        showLocal: true,
+        hours: [null, ['10:00', '19:00'], ['10:00', '19:00'], ['10:00', '19:00'], ['10:00', '19:00'], ['10:00', '19:00'], ['11:00', '14:00']],
+        holidays: ['2026-01-26', '2026-08-15', '2026-10-02'],
+        away: [],
+        lookahead: 60
+    },
+    i18n: {
+        default: 'en',
+        fallback: 'en'
+    },
+    // transport: 'endpoint', 'compose', 'mailto' or 'mock'. 'endpoint' POSTs { name, email,
+    // subject, message, sentAt } as JSON to endpoint and expects a 2xx (e.g. a Formspree form or
+    // a serverless function). Until endpoint is set it falls back to 'compose', which opens
+    // nothing and offers copy / Gmail / mail app as the way to send.
+    contact: {
+        transport: 'endpoint',
+        endpoint: '',
+        recipient: 'abhishekr558u@gmail.com',
+        minFillTime: 3000,
+        rateLimit: { max: 3, window: 10 * 60 * 1000 },
+        limits: { name: 100, email: 254, subject: 150, message: 5000, minMessage: 10 },
+        qrLevel: 'M',
+        qrScale: 4
+    },
+    // sinks: any of 'console', 'storage' and 'beacon' (POSTs batches to endpoint, which
+    // analytics-stub.js serves locally). ?analytics=console,beacon overrides them for a visit.
+    analytics: {
+        enabled: true,
+        sinks: ['storage'],
+        endpoint: 'analytics',
+        batchSize: 10,
+        flushInterval: 30000,
+        storageLimit: 500,
+        minDwell: 1000
+    },
+    // Read by sw.js as well. Bumping version drops every cache from earlier deploys.
+    pwa: {
+        worker: 'sw.js',
+        version: 2,
+        networkTimeout: 4000,
+        assetEntries: 80,
+        shell: [
+            './', 'index.html', 'offline.html', 'script.js', 'portfolio.js', 'render-worker.js',
+            'manifest.webmanifest', 'icons/icon.svg', 'icons/icon-192.png', 'icons/icon-512.png', 'icons/icon-maskable-512.png'
+        ],
+        // Fonts and icon sets: precached, then served stale-while-revalidate
+        assets: [
+            'https://fonts.googleapis.com/css2?family=Fira+Code:wght@300;400;500;600&family=Orbitron:wght@400;500;600;700;800;900&family=Rajdhani:wght@300;400;500;600;700&family=Inter:wght@300;400;500;600;800&display=swap',
+            'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+            'https://cdn.jsdelivr.net/npm/devicon@2.16.0/devicon.min.css'
+        ],
+        assetHosts: ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net']
+    },
+    // Defaults for [data-aos] elements; each can override with data-aos-duration / data-aos-once
+    reveal: {
+        duration: 800,
+        offset: 50,
+        once: true,
+        stagger: 100
     },
     ui: {
         typingSpeed: 50,
-        scrollThreshold: 100
+        scrollThreshold: 100,
+        terminalHotkey: '`',
+        paletteResults: 8,
+        announceDelay: 800,
+        spyLine: 0.33,
+        scrollSettle: 150,
+        spotlightDuration: 2000
     }
 };
 
 const STATE = {
     screen: {
-        width: window.innerWidth,
-        height: window.innerHeight,
-        dpr: Math.min(window.devicePixelRatio, 2),
-        centerX: window.innerWidth / 2,
-        centerY: window.innerHeight / 2
+        width: IS_WORKER ? 0 : window.innerWidth,
+        height: IS_WORKER ? 0 : window.innerHeight,
+        dpr: IS_WORKER ? 1 : Math.min(window.devicePixelRatio, 2),
+        centerX: IS_WORKER ? 0 : window.innerWidth / 2,
+        centerY: IS_WORKER ? 0 : window.innerHeight / 2
     },
     mouse: {
         x: -9999,
@@ -71,7 +208,18 @@ const STATE = {
         now: 0,
         last: 0,
         delta: 0,
-        elapsed: 0
+        elapsed: 0,
+        step: 1000 / CONFIG.core.fps,
+        alpha: 0,
+        work: 0,
+        // Averages reported by the render worker when the canvases are drawn offscreen
+        workerWork: 0,
+        workerDelta: 0
+    },
+    quality: Object.assign({ level: 0 }, CONFIG.perf.levels[0]),
+    network: {
+        x: 0,
+        y: 0
     }
 };
 
@@ -156,6 +304,19 @@ class Utils {
         return Math.floor(Math.random() * (max - min + 1) + min);
     }
 
+    // Deterministic value in [0, 1) for a seed and a list of integer keys, so the same
+    // keys always map to the same number no matter how many others were drawn before.
+    static seeded(seed, ...keys) {
+        let h = seed >>> 0;
+        keys.forEach(key => {
+            h = Math.imul(h ^ key, 0x9e3779b1);
+            h ^= h >>> 16;
+            h = Math.imul(h, 0x85ebca6b);
+            h ^= h >>> 13;
+        });
+        return (h >>> 0) / 4294967296;
+    }
+
     static map(value, start1, stop1, start2, stop2) {
         return start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1));
     }
@@ -164,19 +325,107 @@ class Utils {
         return (1 - amt) * start + amt * end;
     }
 
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
     static dist(x1, y1, x2, y2) {
         const dx = x1 - x2;
         const dy = y1 - y2;
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    static hexToRgb(hex) {
+        return {
+            r: parseInt(hex.slice(1, 3), 16),
+            g: parseInt(hex.slice(3, 5), 16),
+            b: parseInt(hex.slice(5, 7), 16)
+        };
+    }
+
     static rgba(hex, alpha) {
-        const r = parseInt(hex.slice(1, 3), 16);
-        const g = parseInt(hex.slice(3, 5), 16);
-        const b = parseInt(hex.slice(5, 7), 16);
+        const { r, g, b } = Utils.hexToRgb(hex);
         return `rgba(${r}, ${g}, ${b}, ${alpha})`;
     }
 
+    // Per-step constants below were tuned at CONFIG.core.referenceFps; this converts a
+    // step of dt milliseconds into multiples of that reference frame.
+    static stepScale(dt) {
+        return dt / (1000 / CONFIG.core.referenceFps);
+    }
+
+    static escapeHTML(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static formatInline(str, strongClass) {
+        const open = strongClass ? `<strong class="${strongClass}">` : '<strong>';
+        return Utils.escapeHTML(str).replace(/\*\*(.+?)\*\*/g, `${open}$1</strong>`);
+    }
+
+    static slugify(str) {
+        return String(str).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    // "Aug 2025" -> { year: 2025, month: 8 }; "2019" -> { year: 2019, month: null }
+    static parseMonthYear(text) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const match = String(text).trim().match(/^(?:([a-z]{3})[a-z]*\s+)?(\d{4})$/i);
+        if (!match) return null;
+        const month = match[1] ? months.indexOf(match[1].toLowerCase()) + 1 : 0;
+        return { year: parseInt(match[2], 10), month: month > 0 ? month : null };
+    }
+
+    static scrollToElement(target) {
+        const offset = CONFIG.core.isMobile ? 80 : 0;
+        const top = target.getBoundingClientRect().top + window.pageYOffset - offset;
+        window.scrollTo({
+            top: top,
+            behavior: CONFIG.core.reducedMotion ? 'auto' : 'smooth'
+        });
+    }
+
+    static spotlight(el) {
+        Utils.scrollToElement(el);
+        el.classList.add('spotlight');
+        clearTimeout(el.spotlightTimer);
+        el.spotlightTimer = setTimeout(() => el.classList.remove('spotlight'), CONFIG.ui.spotlightDuration);
+    }
+
+    static download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // localStorage can throw (private mode, disabled storage), so preferences degrade to defaults.
+    static load(key, fallback = null, session = false) {
+        try {
+            const value = (session ? sessionStorage : localStorage).getItem(`${CONFIG.core.storagePrefix}:${key}`);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (err) {
+            return fallback;
+        }
+    }
+
+    static save(key, value, session = false) {
+        try {
+            (session ? sessionStorage : localStorage).setItem(`${CONFIG.core.storagePrefix}:${key}`, JSON.stringify(value));
+        } catch (err) {
+            // Preference just won't persist.
+        }
+    }
+
     static throttle(func, limit) {
         let inThrottle;
         return function () {
@@ -228,21 +477,107 @@ class EventManager {
 
 const Events = new EventManager();
 
+class FixedTimestep {
+    constructor(fps, now) {
+        this.step = 1000 / fps;
+        this.now = now || (() => performance.now());
+        this.last = null;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    reset() {
+        this.last = this.now();
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    tick(update) {
+        const now = this.now();
+        const frame = this.last === null ? 0 : Math.min(now - this.last, CONFIG.core.maxFrameTime);
+        let steps = 0;
+
+        this.last = now;
+        this.accumulator += frame;
+
+        while (this.accumulator >= this.step) {
+            update(this.step);
+            this.accumulator -= this.step;
+            steps++;
+        }
+
+        this.alpha = this.accumulator / this.step;
+        return { now, frame, steps };
+    }
+}
+
+// Per-canvas run state set by the RenderScheduler: 'active' runs every frame, 'throttled'
+// keeps simulating but only redraws every CONFIG.perf.throttleInterval frames, 'paused' does nothing.
+// Under reduced motion the simulation is frozen and a frame is drawn only after invalidate().
+class RenderSchedule {
+    constructor() {
+        this.state = 'active';
+        this.frame = 0;
+        this.dirty = true;
+    }
+
+    invalidate() {
+        this.dirty = true;
+    }
+
+    set(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.frame = 0;
+    }
+
+    get canUpdate() {
+        return this.state !== 'paused' && !CONFIG.core.reducedMotion;
+    }
+
+    shouldDraw() {
+        if (this.state === 'paused') return false;
+        if (CONFIG.core.reducedMotion) {
+            const dirty = this.dirty;
+            this.dirty = false;
+            return dirty;
+        }
+        if (this.state === 'throttled') {
+            return this.frame++ % CONFIG.perf.throttleInterval === 0;
+        }
+        return true;
+    }
+}
+
 class InputHandler {
     constructor() {
-        this.init();
+        this.handlers = {
+            mousemove: this.handleMouseMove.bind(this),
+            mousedown: this.handleMouseDown.bind(this),
+            mouseup: this.handleMouseUp.bind(this),
+            touchstart: this.handleTouchStart.bind(this),
+            touchmove: this.handleTouchMove.bind(this),
+            touchend: this.handleTouchEnd.bind(this),
+            resize: Utils.debounce(this.handleResize.bind(this), 200)
+        };
     }
 
     init() {
-        window.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        window.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        window.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        window.addEventListener('mousemove', this.handlers.mousemove);
+        window.addEventListener('mousedown', this.handlers.mousedown);
+        window.addEventListener('mouseup', this.handlers.mouseup);
         
-        window.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-        window.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        window.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        window.addEventListener('touchstart', this.handlers.touchstart, { passive: false });
+        window.addEventListener('touchmove', this.handlers.touchmove, { passive: false });
+        window.addEventListener('touchend', this.handlers.touchend);
         
-        window.addEventListener('resize', Utils.debounce(this.handleResize.bind(this), 200));
+        window.addEventListener('resize', this.handlers.resize);
+    }
+
+    destroy() {
+        Object.keys(this.handlers).forEach(event => {
+            window.removeEventListener(event, this.handlers[event]);
+        });
     }
 
     handleMouseMove(e) {
@@ -301,13 +636,18 @@ class CanvasController {
         this.width = 0;
         this.height = 0;
         this.isValid = !!this.canvas;
+        this.handleResize = this.resize.bind(this);
         
         if (this.isValid) {
             this.resize();
-            Events.on('resize', this.resize.bind(this));
+            Events.on('resize', this.handleResize);
         }
     }
 
+    destroy() {
+        Events.off('resize', this.handleResize);
+    }
+
     resize() {
         if (!this.isValid) return;
         
@@ -330,41 +670,110 @@ class CanvasController {
         if (!this.isValid) return;
         this.ctx.clearRect(0, 0, this.width, this.height);
     }
+
+    getRect() {
+        return this.canvas.getBoundingClientRect();
+    }
+}
+
+class OffscreenCanvasController {
+    constructor(id, canvas, size) {
+        this.id = id;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.width = 0;
+        this.height = 0;
+        this.rect = { left: 0, top: 0, right: 0, bottom: 0 };
+        this.isValid = !!this.ctx;
+        this.resize(size);
+    }
+
+    destroy() {}
+
+    resize(size) {
+        if (!size) return;
+        this.width = size.width;
+        this.height = size.height;
+        this.rect = size.rect;
+
+        this.canvas.width = this.width * STATE.screen.dpr;
+        this.canvas.height = this.height * STATE.screen.dpr;
+        this.ctx.scale(STATE.screen.dpr, STATE.screen.dpr);
+    }
+
+    clear() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    getRect() {
+        return this.rect;
+    }
+}
+
+// grad() takes the activation's output rather than its input, which is what backprop has to hand.
+const ACTIVATIONS = {
+    sigmoid: {
+        fn: x => 1 / (1 + Math.exp(-x)),
+        grad: y => y * (1 - y)
+    },
+    tanh: {
+        fn: x => Math.tanh(x),
+        grad: y => 1 - y * y
+    },
+    relu: {
+        fn: x => (x > 0 ? x : 0),
+        grad: y => (y > 0 ? 1 : 0)
+    }
+};
+
+class NeuralConnection {
+    constructor(from, to, weight) {
+        this.from = from;
+        this.to = to;
+        this.weight = weight;
+        this.contribution = 0;
+    }
 }
 
 class NeuralSignal {
-    constructor(startNode, endNode) {
-        this.start = startNode;
-        this.end = endNode;
+    constructor(connection) {
+        this.start = connection.from;
+        this.end = connection.to;
         this.progress = 0;
+        this.prevProgress = 0;
         // CHANGE: Reduced speed
         this.speed = Utils.random(0.005, 0.015);
         this.active = true;
-        this.color = Math.random() > 0.5 ? CONFIG.theme.colors.cyan : CONFIG.theme.colors.pink;
-        this.size = Utils.random(2, 4);
+        this.positive = connection.contribution >= 0;
+        this.strength = Math.min(1, Math.abs(connection.contribution));
+        this.size = 1.5 + this.strength * 3;
     }
 
-    update() {
-        this.progress += this.speed;
+    update(dt) {
+        this.prevProgress = this.progress;
+        this.progress += this.speed * Utils.stepScale(dt);
         if (this.progress >= 1) {
             this.active = false;
-            this.end.activate(0.3);
+            this.end.activate(0.3 * this.strength);
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha) {
         if (!this.active) return;
         
-        const x = Utils.lerp(this.start.pos.x, this.end.pos.x, this.progress);
-        const y = Utils.lerp(this.start.pos.y, this.end.pos.y, this.progress);
+        const progress = Utils.lerp(this.prevProgress, this.progress, alpha);
+        const x = Utils.lerp(this.start.renderPos.x, this.end.renderPos.x, progress);
+        const y = Utils.lerp(this.start.renderPos.y, this.end.renderPos.y, progress);
+        const color = this.positive ? CONFIG.theme.colors.cyan : CONFIG.theme.colors.pink;
         
         ctx.beginPath();
         ctx.arc(x, y, this.size, 0, Math.PI * 2);
-        ctx.fillStyle = this.color;
+        ctx.fillStyle = color;
         ctx.fill();
+        if (!STATE.quality.shadows) return;
         
         ctx.shadowBlur = 10;
-        ctx.shadowColor = this.color;
+        ctx.shadowColor = color;
         ctx.fill();
         ctx.shadowBlur = 0;
     }
@@ -375,6 +784,8 @@ class NeuralNode {
         this.id = id;
         this.basePos = new Vector2(x, y);
         this.pos = new Vector2(x, y);
+        this.prevPos = new Vector2(x, y);
+        this.renderPos = new Vector2(x, y);
         this.vel = new Vector2(0, 0);
         this.acc = new Vector2(0, 0);
         
@@ -383,21 +794,28 @@ class NeuralNode {
         
         this.floatOffset = Utils.random(0, Math.PI * 2);
         this.activation = 0;
+        this.target = 0;
+        this.bias = 0;
+        this.sum = 0;
+        this.output = 0;
         this.connections = [];
         
         this.isAnchor = false;
         this.layer = 0;
     }
 
-    connect(node) {
-        this.connections.push(node);
+    connect(node, weight) {
+        this.connections.push(new NeuralConnection(this, node, weight));
     }
 
     activate(amount) {
         this.activation = Math.min(this.activation + amount, 1);
     }
 
-    update(mousePos) {
+    update(mousePos, dt) {
+        const k = Utils.stepScale(dt);
+        this.prevPos.set(this.pos.x, this.pos.y);
+
         // CHANGE: Removed wobble floating math
         // this.floatOffset += 0.02;
         // const floatX = Math.cos(this.floatOffset) * CONFIG.ann.floatRange * 0.5;
@@ -421,49 +839,48 @@ class NeuralNode {
                 const magnitude = (CONFIG.ann.mouseRadius - dist) / CONFIG.ann.mouseRadius;
                 repulsion.mult(magnitude * CONFIG.ann.mouseForce * 5);
                 this.acc.add(repulsion);
-                
-                this.activate(0.01);
             }
         }
 
-        this.vel.add(this.acc);
-        this.vel.mult(0.92); 
-        this.pos.add(this.vel);
+        this.vel.add(this.acc.mult(k));
+        this.vel.mult(Math.pow(0.92, k)); 
+        this.pos.add(this.vel.copy().mult(k));
         this.acc.mult(0);
 
-        this.activation = Math.max(this.activation - 0.01, 0);
+        // Glow eases towards the node's output so pulses fade back to the computed value.
+        this.activation += (this.target - this.activation) * (1 - Math.pow(0.9, k));
         this.radius = this.baseRadius + (this.activation * 5);
     }
 
+    interpolate(alpha) {
+        this.renderPos.set(
+            Utils.lerp(this.prevPos.x, this.pos.x, alpha),
+            Utils.lerp(this.prevPos.y, this.pos.y, alpha)
+        );
+    }
+
     draw(ctx) {
         ctx.beginPath();
-        ctx.arc(this.pos.x, this.pos.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(this.renderPos.x, this.renderPos.y, this.radius, 0, Math.PI * 2);
         
-        let r, g, b;
-        
-        if (this.activation > 0.5) {
-            const t = (this.activation - 0.5) * 2;
-            r = Utils.lerp(0, 255, t); 
-            g = Utils.lerp(240, 0, t); 
-            b = Utils.lerp(255, 85, t); 
-        } else {
-            const t = this.activation * 2;
-            r = 0;
-            g = Utils.lerp(240, 240, t);
-            b = 255;
-        }
+        // Resting nodes use the accent colour and shift towards the hot colour past half activation.
+        const { cyan, pink, ink } = CONFIG.theme.rgb;
+        const t = this.activation > 0.5 ? (this.activation - 0.5) * 2 : 0;
+        const r = Math.floor(Utils.lerp(cyan.r, pink.r, t));
+        const g = Math.floor(Utils.lerp(cyan.g, pink.g, t));
+        const b = Math.floor(Utils.lerp(cyan.b, pink.b, t));
 
-        const color = `rgba(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)}, ${0.5 + this.activation * 0.5})`;
-        const glowColor = `rgba(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)}, 0.8)`;
+        const color = `rgba(${r}, ${g}, ${b}, ${0.5 + this.activation * 0.5})`;
+        const glowColor = `rgba(${r}, ${g}, ${b}, 0.8)`;
         
         ctx.fillStyle = color;
         ctx.fill();
         
         ctx.lineWidth = 2;
-        ctx.strokeStyle = `rgba(255, 255, 255, ${0.3 + this.activation * 0.7})`;
+        ctx.strokeStyle = `rgba(${ink.r}, ${ink.g}, ${ink.b}, ${0.3 + this.activation * 0.7})`;
         ctx.stroke();
 
-        if (this.activation > 0.1) {
+        if (this.activation > 0.1 && STATE.quality.shadows) {
             ctx.shadowBlur = 20 * this.activation;
             ctx.shadowColor = glowColor;
             ctx.fill();
@@ -472,178 +889,336 @@ class NeuralNode {
 
         if (this.activation > 0.8) {
             ctx.beginPath();
-            ctx.arc(this.pos.x, this.pos.y, this.radius * 1.5, 0, Math.PI * 2);
-            ctx.strokeStyle = `rgba(255, 255, 255, ${this.activation * 0.2})`;
+            ctx.arc(this.renderPos.x, this.renderPos.y, this.radius * 1.5, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(${ink.r}, ${ink.g}, ${ink.b}, ${this.activation * 0.2})`;
             ctx.stroke();
         }
     }
 }
 
 class NeuralNetworkSystem {
-    constructor() {
-        this.canvas = new CanvasController('hero-network-canvas');
+    constructor(canvas = null) {
+        this.canvas = canvas;
         this.nodes = [];
         this.signals = [];
+        this.schedule = new RenderSchedule();
         this.initialized = false;
-        
-        if (this.canvas.isValid) {
-            this.init();
-        }
+        this.seed = Utils.randomInt(0, 0xffffffff);
+        this.handleResize = () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.createNodes(), 100);
+        };
+        this.handleMotion = () => this.schedule.invalidate();
     }
 
     init() {
+        this.canvas = this.canvas || new CanvasController('hero-network-canvas');
+        if (!this.canvas.isValid) return;
+
         this.createNodes();
-        Events.on('resize', () => {
-            setTimeout(() => this.createNodes(), 100);
-        });
+        Events.on('resize', this.handleResize);
+        Events.on('quality-change', this.handleResize);
+        Events.on('motion-change', this.handleMotion);
         this.initialized = true;
     }
 
+    destroy() {
+        if (!this.canvas) return;
+        clearTimeout(this.resizeTimer);
+        Events.off('resize', this.handleResize);
+        Events.off('quality-change', this.handleResize);
+        Events.off('motion-change', this.handleMotion);
+        this.canvas.destroy();
+        this.nodes = [];
+        this.signals = [];
+        this.initialized = false;
+    }
+
+    // Everything random here is drawn from this.seed keyed by layer and unit index, so a
+    // rebuild for a resize or quality step keeps the units that survive where they were,
+    // with the same weights, and only adds or drops the rest.
+    random(min, max, ...keys) {
+        return Utils.seeded(this.seed, ...keys) * (max - min) + min;
+    }
+
     createNodes() {
         this.nodes = [];
+        this.layers = [];
         this.signals = [];
+        this.inputKey = null;
         
         const width = this.canvas.width;
         const height = this.canvas.height;
         
         const layerCount = CONFIG.core.isMobile ? 4 : 6;
-        const nodesPerLayerBase = CONFIG.core.isMobile ? 4 : 7;
+        const nodesPerLayerBase = Math.max(2, Math.round((CONFIG.core.isMobile ? 4 : 7) * STATE.quality.nodes));
         
         const layerSpacing = width / (layerCount + 1);
         
         for (let l = 0; l < layerCount; l++) {
             const x = (l + 1) * layerSpacing;
-            const variance = CONFIG.core.isMobile ? 1 : 2;
-            const count = nodesPerLayerBase + Utils.randomInt(-variance, variance);
+            const variance = Math.min(nodesPerLayerBase - 1, CONFIG.core.isMobile ? 1 : 2);
+            let count = nodesPerLayerBase + Math.floor(this.random(-variance, variance + 1, 0, l));
+            if (l === 0) count = CONFIG.ann.inputs.length;
+            if (l === layerCount - 1) count = CONFIG.ann.outputCount;
             const vSpacing = height / (count + 1);
+            const layer = [];
             
             for (let i = 0; i < count; i++) {
-                const y = (i + 1) * vSpacing + Utils.random(-30, 30);
+                const y = (i + 1) * vSpacing + this.random(-30, 30, 1, l, i);
                 const node = new NeuralNode(x, y, this.nodes.length);
                 node.layer = l;
+                node.radius = node.baseRadius = this.random(CONFIG.ann.nodeRadiusMin, CONFIG.ann.nodeRadiusMax, 2, l, i);
+                node.floatOffset = this.random(0, Math.PI * 2, 3, l, i);
+                if (l > 0) node.bias = this.random(-0.5, 0.5, 4, l, i);
                 this.nodes.push(node);
+                layer.push(node);
             }
+            this.layers.push(layer);
         }
         
         this.createConnections();
+        this.schedule.invalidate();
     }
 
+    // Dense layers with Glorot-uniform weights: an untrained but well-scaled MLP.
     createConnections() {
-        this.nodes.forEach(node => {
-            const potentialNeighbors = this.nodes.filter(n => n.layer === node.layer + 1);
-            
-            potentialNeighbors.forEach(neighbor => {
-                if (Math.random() > 0.005) {
-                    node.connect(neighbor);
-                }
+        for (let l = 0; l < this.layers.length - 1; l++) {
+            const layer = this.layers[l];
+            const next = this.layers[l + 1];
+            const limit = Math.sqrt(6 / (layer.length + next.length));
+
+            layer.forEach((node, i) => {
+                next.forEach((neighbor, j) => node.connect(neighbor, this.random(-limit, limit, 5, l, i, j)));
             });
+        }
+    }
 
-            if (node.layer < CONFIG.core.isMobile ? 3 : 5) {
-                if (node.connections.length === 0 && potentialNeighbors.length > 0) {
-                    const randomNeighbor = potentialNeighbors[Math.floor(Math.random() * potentialNeighbors.length)];
-                    node.connect(randomNeighbor);
-                }
-            }
-        });
+    // Maps the pointer (when it is over the canvas) or the STATE.network sliders to [-1, 1]
+    // and expands that into the feature vector named by CONFIG.ann.inputs.
+    readInput(localMouse) {
+        let x = STATE.network.x;
+        let y = STATE.network.y;
+        let source = 'slider';
+
+        if (localMouse && this.canvas.width > 0 && this.canvas.height > 0) {
+            x = Utils.map(localMouse.x, 0, this.canvas.width, -1, 1);
+            y = Utils.map(localMouse.y, 0, this.canvas.height, 1, -1);
+            source = 'pointer';
+        }
+
+        const features = { x, y, 'x*y': x * y, r: Math.sqrt(x * x + y * y) };
+        return {
+            x,
+            y,
+            source,
+            values: CONFIG.ann.inputs.map(name => features[name])
+        };
     }
 
-    spawnSignal() {
-        if (this.nodes.length === 0) return;
-        
-        const startLayerNodes = this.nodes.filter(n => n.layer === 0);
-        const randomStart = startLayerNodes[Math.floor(Math.random() * startLayerNodes.length)];
-        
-        if (randomStart && randomStart.connections.length > 0) {
-            const endNode = randomStart.connections[Math.floor(Math.random() * randomStart.connections.length)];
-            this.signals.push(new NeuralSignal(randomStart, endNode));
-            randomStart.activate(0.5);
+    forward(values) {
+        const layers = this.layers;
+        if (layers.length === 0) return [];
+
+        layers[0].forEach((node, i) => {
+            node.output = values[i];
+        });
+
+        for (let l = 1; l < layers.length; l++) {
+            const isOutput = l === layers.length - 1;
+            const activation = ACTIVATIONS[isOutput ? CONFIG.ann.outputActivation : CONFIG.ann.hiddenActivation];
+
+            layers[l].forEach(node => {
+                node.sum = node.bias;
+            });
+            layers[l - 1].forEach(node => {
+                node.connections.forEach(conn => {
+                    conn.contribution = conn.weight * node.output;
+                    conn.to.sum += conn.contribution;
+                });
+            });
+            layers[l].forEach(node => {
+                node.output = activation.fn(node.sum);
+            });
         }
+
+        this.nodes.forEach(node => {
+            node.target = Math.min(1, Math.abs(node.output));
+            if (CONFIG.core.reducedMotion) node.activation = node.target;
+        });
+
+        return layers[layers.length - 1].map(node => node.output);
     }
 
-    propagateSignals() {
-         if (Math.random() < 0.001) {
-             const activeNodes = this.nodes.filter(n => n.activation > 0.5 && n.connections.length > 0);
-             if (activeNodes.length > 0) {
-                 const source = activeNodes[Math.floor(Math.random() * activeNodes.length)];
-                 const dest = source.connections[Math.floor(Math.random() * source.connections.length)];
-                 this.signals.push(new NeuralSignal(source, dest));
-             }
-         }
+    // Pulses travel along connections in proportion to how much they contributed to the last pass.
+    spawnSignals(k) {
+        this.nodes.forEach(node => {
+            node.connections.forEach(conn => {
+                if (this.signals.length >= CONFIG.ann.maxSignals) return;
+                const chance = CONFIG.ann.pulseChance * 0.05 * Math.min(1, Math.abs(conn.contribution)) * k;
+                if (Math.random() < chance) {
+                    this.signals.push(new NeuralSignal(conn));
+                }
+            });
+        });
     }
 
-    update() {
+    setCanvasSchedule(id, state) {
+        if (this.canvas && this.canvas.id === id) {
+            this.schedule.set(state);
+        }
+    }
+
+    update(dt) {
         if (!this.initialized) return;
 
-        let localMouseX = -9999;
-        let localMouseY = -9999;
+        let localMouse = null;
 
         if (STATE.mouse.isActive) {
-            const rect = this.canvas.canvas.getBoundingClientRect();
+            const rect = this.canvas.getRect();
             if (STATE.mouse.x >= rect.left && STATE.mouse.x <= rect.right &&
                 STATE.mouse.y >= rect.top && STATE.mouse.y <= rect.bottom) {
-                localMouseX = STATE.mouse.x - rect.left;
-                localMouseY = STATE.mouse.y - rect.top;
+                localMouse = new Vector2(STATE.mouse.x - rect.left, STATE.mouse.y - rect.top);
             }
         }
 
-        const mouseVec = new Vector2(localMouseX, localMouseY);
+        const input = this.readInput(localMouse);
+        const key = input.values.map(v => v.toFixed(3)).join(',');
+        if (key !== this.inputKey) {
+            this.inputKey = key;
+            const outputs = this.forward(input.values);
+            this.schedule.invalidate();
+            Events.emit('network-forward', { x: input.x, y: input.y, source: input.source, outputs });
+        }
+
+        if (!this.schedule.canUpdate) return;
+        const k = Utils.stepScale(dt);
+        const mouseVec = localMouse || new Vector2(-9999, -9999);
 
         this.nodes.forEach(node => {
-            node.update(mouseVec);
+            node.update(mouseVec, dt);
         });
 
-        if (Math.random() < 0.000001) {
-            this.spawnSignal();
-        }
-
-        this.propagateSignals();
+        this.spawnSignals(k);
 
         for (let i = this.signals.length - 1; i >= 0; i--) {
-            this.signals[i].update();
+            this.signals[i].update(dt);
             if (!this.signals[i].active) {
                 this.signals.splice(i, 1);
             }
         }
     }
 
-    draw() {
-        if (!this.initialized) return;
+    draw(alpha = 1) {
+        if (!this.initialized || !this.schedule.shouldDraw()) return;
         
         this.canvas.clear();
         const ctx = this.canvas.ctx;
+        const { cyan, pink } = CONFIG.theme.colors;
 
+        this.nodes.forEach(node => node.interpolate(alpha));
+
+        // Positive contributions in the accent colour, inhibitory ones in pink; weight of
+        // the line follows the magnitude.
         this.nodes.forEach(node => {
-            node.connections.forEach(neighbor => {
+            node.connections.forEach(conn => {
+                const strength = Math.min(1, Math.abs(conn.contribution));
+
                 ctx.beginPath();
-                ctx.moveTo(node.pos.x, node.pos.y);
-                ctx.lineTo(neighbor.pos.x, neighbor.pos.y);
-                
-                const avgActivation = (node.activation + neighbor.activation) / 2;
-                
-                if (avgActivation > 0.1) {
-                    // Active state (hovered or signal passing)
-                    ctx.strokeStyle = avgActivation > 0.4 ? CONFIG.theme.colors.cyan : 'rgba(0, 240, 255, 0.8)';
-                    ctx.lineWidth = 1.5 + (avgActivation * 2);
-                    ctx.globalAlpha = 0.9 + (avgActivation * 0.1);
-                } else {
-                    // Resting state (not interacted with) -> NOW BRIGHTER
-                    // Changed alpha from 0.2 to 0.6 for much higher visibility
-                    ctx.strokeStyle = 'rgba(0, 240, 255, 1)'; 
-                    ctx.lineWidth = 1;
-                    // Changed globalAlpha to 1.0 (fully opaque line drawing)
-                    ctx.globalAlpha = 1.0; 
-                }
-                
+                ctx.moveTo(node.renderPos.x, node.renderPos.y);
+                ctx.lineTo(conn.to.renderPos.x, conn.to.renderPos.y);
+                ctx.strokeStyle = conn.contribution >= 0 ? cyan : pink;
+                ctx.lineWidth = 0.5 + strength * 2.5;
+                ctx.globalAlpha = 0.2 + strength * 0.8;
                 ctx.stroke();
-                ctx.globalAlpha = 1;
             });
         });
+        ctx.globalAlpha = 1;
 
-        this.signals.forEach(signal => signal.draw(ctx));
+        this.signals.forEach(signal => signal.draw(ctx, alpha));
         this.nodes.forEach(node => node.draw(ctx));
     }
 }
 
+// Buckets items by the position in their xKey/yKey fields, which must be the same
+// coordinates the caller draws with.
+class SpatialGrid {
+    constructor(cellSize, xKey = 'x', yKey = 'y') {
+        this.cellSize = cellSize;
+        this.xKey = xKey;
+        this.yKey = yKey;
+        this.cols = 1;
+        this.rows = 1;
+        this.cells = [[]];
+    }
+
+    resize(width, height, cellSize) {
+        if (cellSize) this.cellSize = cellSize;
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+        this.cells = [];
+        for (let i = 0; i < this.cols * this.rows; i++) {
+            this.cells.push([]);
+        }
+    }
+
+    clear() {
+        for (let i = 0; i < this.cells.length; i++) {
+            this.cells[i].length = 0;
+        }
+    }
+
+    insert(item) {
+        const cx = Math.min(this.cols - 1, Math.max(0, Math.floor(item[this.xKey] / this.cellSize)));
+        const cy = Math.min(this.rows - 1, Math.max(0, Math.floor(item[this.yKey] / this.cellSize)));
+        this.cells[cy * this.cols + cx].push(item);
+    }
+
+    // Visits every pair closer than maxDist once. Each cell is compared with itself and its
+    // forward neighbours (E, SW, S, SE) so no pair is seen twice. cellSize must be >= maxDist.
+    forEachPair(maxDist, callback) {
+        const maxDistSq = maxDist * maxDist;
+        const { cols, rows, cells } = this;
+
+        for (let cy = 0; cy < rows; cy++) {
+            for (let cx = 0; cx < cols; cx++) {
+                const cell = cells[cy * cols + cx];
+                if (cell.length === 0) continue;
+
+                for (let i = 0; i < cell.length; i++) {
+                    for (let j = i + 1; j < cell.length; j++) {
+                        this.test(cell[i], cell[j], maxDistSq, callback);
+                    }
+                }
+
+                this.testCells(cell, cx + 1, cy, maxDistSq, callback);
+                this.testCells(cell, cx - 1, cy + 1, maxDistSq, callback);
+                this.testCells(cell, cx, cy + 1, maxDistSq, callback);
+                this.testCells(cell, cx + 1, cy + 1, maxDistSq, callback);
+            }
+        }
+    }
+
+    testCells(cell, nx, ny, maxDistSq, callback) {
+        if (nx < 0 || nx >= this.cols || ny >= this.rows) return;
+        const other = this.cells[ny * this.cols + nx];
+        for (let i = 0; i < cell.length; i++) {
+            for (let j = 0; j < other.length; j++) {
+                this.test(cell[i], other[j], maxDistSq, callback);
+            }
+        }
+    }
+
+    test(a, b, maxDistSq, callback) {
+        const dx = a[this.xKey] - b[this.xKey];
+        const dy = a[this.yKey] - b[this.yKey];
+        const distSq = dx * dx + dy * dy;
+        if (distSq < maxDistSq) {
+            callback(a, b, distSq);
+        }
+    }
+}
+
 class BackgroundParticle {
     constructor(w, h) {
         this.w = w;
@@ -658,18 +1233,35 @@ class BackgroundParticle {
         this.vy = (Math.random() - 0.5) * CONFIG.bg.baseSpeed;
         this.size = Math.random() * 2;
         this.life = Math.random() * 100;
+        this.px = this.x;
+        this.py = this.y;
+        this.rx = this.x;
+        this.ry = this.y;
     }
 
-    update() {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.life++;
+    update(dt) {
+        const k = Utils.stepScale(dt);
+        this.px = this.x;
+        this.py = this.y;
+        this.x += this.vx * k;
+        this.y += this.vy * k;
+        this.life += k;
 
         if (this.x < 0 || this.x > this.w || this.y < 0 || this.y > this.h) {
             this.reset();
         }
     }
 
+    interpolate(alpha) {
+        this.rx = Utils.lerp(this.px, this.x, alpha);
+        this.ry = Utils.lerp(this.py, this.y, alpha);
+    }
+
+    trace(ctx) {
+        ctx.moveTo(this.rx + this.size, this.ry);
+        ctx.arc(this.rx, this.ry, this.size, 0, Math.PI * 2);
+    }
+
     draw(ctx) {
         ctx.fillStyle = CONFIG.theme.colors.cyan;
         ctx.globalAlpha = 0.3;
@@ -680,325 +1272,5033 @@ class BackgroundParticle {
 }
 
 class BackgroundSystem {
-    constructor() {
-        this.canvas = new CanvasController('neural-canvas');
+    constructor(canvas = null) {
+        this.canvas = canvas;
         this.particles = [];
+        this.particleCount = null;
+        this.grid = new SpatialGrid(CONFIG.bg.connectionDistance, 'rx', 'ry');
+        this.buckets = [];
+        this.bench = null;
+        this.schedule = new RenderSchedule();
         this.initialized = false;
+        this.handleResize = () => this.createParticles();
+        this.handleQuality = () => this.syncParticleCount();
+        this.handleMotion = () => this.schedule.invalidate();
 
-        if (this.canvas.isValid) {
-            this.init();
+        for (let i = 0; i < CONFIG.bg.alphaBuckets; i++) {
+            this.buckets.push([]);
         }
     }
 
     init() {
+        this.canvas = this.canvas || new CanvasController('neural-canvas');
+        if (!this.canvas.isValid) return;
+
         this.createParticles();
-        Events.on('resize', () => {
-            this.createParticles();
-        });
+        Events.on('resize', this.handleResize);
+        Events.on('quality-change', this.handleQuality);
+        Events.on('motion-change', this.handleMotion);
         this.initialized = true;
+
+        if (IS_WORKER) return;
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('benchmark')) {
+            const count = parseInt(params.get('benchmark'), 10) || 2000;
+            this.benchmark(count).then(report => this.showReport(report));
+        }
+    }
+
+    destroy() {
+        if (!this.canvas) return;
+        Events.off('resize', this.handleResize);
+        Events.off('quality-change', this.handleQuality);
+        Events.off('motion-change', this.handleMotion);
+        this.canvas.destroy();
+        this.particles = [];
+        this.initialized = false;
     }
 
     createParticles() {
         this.particles = [];
-        const count = CONFIG.core.isMobile ? CONFIG.bg.particleCountMobile : CONFIG.bg.particleCountDesktop;
-        
-        for (let i = 0; i < count; i++) {
+        this.syncParticleCount();
+        this.grid.resize(this.canvas.width, this.canvas.height, this.connectionDistance());
+    }
+
+    // The benchmark pins an explicit count; otherwise the quality governor scales the default.
+    targetParticleCount() {
+        if (this.particleCount !== null) return this.particleCount;
+        const base = CONFIG.core.isMobile ? CONFIG.bg.particleCountMobile : CONFIG.bg.particleCountDesktop;
+        return Math.round(base * STATE.quality.particles);
+    }
+
+    syncParticleCount() {
+        const count = this.targetParticleCount();
+        if (this.particles.length > count) {
+            this.particles.length = count;
+        }
+        while (this.particles.length < count) {
             this.particles.push(new BackgroundParticle(this.canvas.width, this.canvas.height));
         }
+        this.schedule.invalidate();
     }
 
-    update() {
-        if (!this.initialized) return;
-        this.particles.forEach(p => p.update());
+    connectionDistance() {
+        return CONFIG.bg.connectionDistance * STATE.quality.distance;
     }
 
-    draw() {
-        if (!this.initialized) return;
-        this.canvas.clear();
-        const ctx = this.canvas.ctx;
-        
-        const maxDist = CONFIG.bg.connectionDistance;
-
-        for (let i = 0; i < this.particles.length; i++) {
-            const p1 = this.particles[i];
-            p1.draw(ctx);
-
-            for (let j = i + 1; j < this.particles.length; j++) {
-                const p2 = this.particles[j];
-                const dx = p1.x - p2.x;
-                const dy = p1.y - p2.y;
-                const dist = Math.sqrt(dx*dx + dy*dy);
-
-                if (dist < maxDist) {
-                    ctx.beginPath();
-                    ctx.strokeStyle = CONFIG.theme.colors.cyan;
-                    ctx.lineWidth = 0.5;
-                    ctx.globalAlpha = 0.15 * (1 - dist / maxDist);
-                    ctx.moveTo(p1.x, p1.y);
-                    ctx.lineTo(p2.x, p2.y);
-                    ctx.stroke();
-                }
-            }
+    setCanvasSchedule(id, state) {
+        if (this.canvas && this.canvas.id === id) {
+            this.schedule.set(state);
         }
-        ctx.globalAlpha = 1;
     }
-}
 
-class TypingEngine {
-    constructor(elementId, phrases, options = {}) {
-        this.element = document.getElementById(elementId);
-        this.phrases = phrases;
-        this.loop = options.loop !== false;
-        this.typeSpeed = options.typeSpeed || 50;
-        this.deleteSpeed = options.deleteSpeed || 30;
-        this.waitDelay = options.waitDelay || 2000;
-        
-        this.phraseIndex = 0;
-        this.charIndex = 0;
-        this.isDeleting = false;
-        this.isWaiting = false;
-        
-        if (this.element) {
-            this.tick();
+    setParticleCount(count) {
+        this.particleCount = count;
+        if (this.initialized) {
+            this.createParticles();
         }
     }
 
-    tick() {
-        const currentPhrase = this.phrases[this.phraseIndex];
-        
-        if (this.isWaiting) {
-            setTimeout(() => {
-                this.isWaiting = false;
-                this.isDeleting = true;
-                this.tick();
-            }, this.waitDelay);
-            return;
+    update(dt) {
+        if (!this.initialized || !this.schedule.canUpdate) return;
+        if (this.bench && !this.bench.start) {
+            this.bench.start = performance.now();
         }
 
-        if (this.isDeleting) {
-            this.charIndex--;
-            this.element.textContent = currentPhrase.substring(0, this.charIndex);
-            
-            if (this.charIndex === 0) {
-                this.isDeleting = false;
-                this.phraseIndex = (this.phraseIndex + 1) % this.phrases.length;
-                this.tick();
-            } else {
-                setTimeout(() => this.tick(), this.deleteSpeed);
-            }
-        } else {
-            this.charIndex++;
-            this.element.textContent = currentPhrase.substring(0, this.charIndex);
-            
-            if (this.charIndex === currentPhrase.length) {
-                this.isWaiting = true;
-                this.tick();
-            } else {
-                setTimeout(() => this.tick(), this.typeSpeed);
-            }
+        for (let i = 0; i < this.particles.length; i++) {
+            this.particles[i].update(dt);
         }
     }
-}
-
-class ScrollSpy {
-    constructor() {
-        this.sections = document.querySelectorAll('section');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        this.init();
-    }
 
-    init() {
-        if (this.sections.length === 0) return;
+    draw(alpha = 1) {
+        if (!this.initialized || !this.schedule.shouldDraw()) return;
+        this.canvas.clear();
+        const ctx = this.canvas.ctx;
         
-        window.addEventListener('scroll', Utils.throttle(this.handleScroll.bind(this), 100));
-        this.handleScroll(); 
+        const maxDist = this.connectionDistance();
+        const buckets = this.buckets;
+        const bucketCount = buckets.length;
+
+        for (let i = 0; i < bucketCount; i++) {
+            buckets[i].length = 0;
+        }
+        // The grid is rebuilt from the interpolated positions the lines are drawn between
+        if (this.grid.cellSize !== maxDist) {
+            this.grid.resize(this.canvas.width, this.canvas.height, maxDist);
+        }
+        this.grid.clear();
+        for (let i = 0; i < this.particles.length; i++) {
+            const p = this.particles[i];
+            p.interpolate(alpha);
+            this.grid.insert(p);
+        }
+
+        this.grid.forEachPair(maxDist, (p1, p2, distSq) => {
+            const strength = 1 - Math.sqrt(distSq) / maxDist;
+            const bucket = Math.min(bucketCount - 1, Math.floor(strength * bucketCount));
+            buckets[bucket].push(p1.rx, p1.ry, p2.rx, p2.ry);
+        });
+
+        ctx.strokeStyle = CONFIG.theme.colors.cyan;
+        ctx.lineWidth = 0.5;
+
+        for (let b = 0; b < bucketCount; b++) {
+            const lines = buckets[b];
+            if (lines.length === 0) continue;
+
+            ctx.globalAlpha = CONFIG.bg.lineAlpha * (b + 0.5) / bucketCount;
+            ctx.beginPath();
+            for (let i = 0; i < lines.length; i += 4) {
+                ctx.moveTo(lines[i], lines[i + 1]);
+                ctx.lineTo(lines[i + 2], lines[i + 3]);
+            }
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = CONFIG.theme.colors.cyan;
+        ctx.globalAlpha = 0.3;
+        ctx.beginPath();
+        for (let i = 0; i < this.particles.length; i++) {
+            this.particles[i].trace(ctx);
+        }
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        if (this.bench) {
+            this.recordBenchmarkFrame();
+        }
+    }
+
+    benchmark(count, frames = CONFIG.bg.benchmarkFrames) {
+        return new Promise(resolve => {
+            if (!this.initialized) {
+                resolve(null);
+                return;
+            }
+            this.bench = { count, frames, work: [], interval: [], start: 0, last: 0, previous: this.particleCount, resolve };
+            this.setParticleCount(count);
+        });
+    }
+
+    recordBenchmarkFrame() {
+        const bench = this.bench;
+        const now = performance.now();
+        if (!bench.start) return;
+
+        bench.work.push(now - bench.start);
+        if (bench.last) {
+            bench.interval.push(now - bench.last);
+        }
+        bench.last = now;
+        bench.start = 0;
+
+        if (bench.work.length < bench.frames) return;
+
+        const stats = samples => {
+            const sorted = samples.slice().sort((a, b) => a - b);
+            const avg = sorted.reduce((sum, v) => sum + v, 0) / Math.max(1, sorted.length);
+            return {
+                avg: +avg.toFixed(2),
+                p95: +(sorted[Math.floor(sorted.length * 0.95)] || 0).toFixed(2),
+                max: +(sorted[sorted.length - 1] || 0).toFixed(2)
+            };
+        };
+
+        const frame = stats(bench.interval);
+        const report = {
+            particles: bench.count,
+            frames: bench.frames,
+            workMs: stats(bench.work),
+            frameMs: frame,
+            fps: frame.avg > 0 ? +(1000 / frame.avg).toFixed(1) : 0
+        };
+
+        this.bench = null;
+        this.setParticleCount(bench.previous);
+        Events.emit('benchmark-complete', report);
+        bench.resolve(report);
+    }
+
+    showReport(report) {
+        if (!report) return;
+        const panel = document.createElement('div');
+        panel.className = 'benchmark-report';
+        panel.textContent = `BENCH // ${report.particles} particles // ` +
+            `work ${report.workMs.avg}ms avg (p95 ${report.workMs.p95}ms) // ` +
+            `frame ${report.frameMs.avg}ms (${report.fps} fps)`;
+        document.body.appendChild(panel);
+    }
+}
+
+// Toy binary classification sets in [-1, 1]^2, labels 0/1.
+class PlaygroundDatasets {
+    static names() {
+        return ['xor', 'circles', 'spirals', 'moons'];
+    }
+
+    static generate(name, count = CONFIG.playground.samples, noise = CONFIG.playground.noise) {
+        const jitter = () => Utils.random(-noise, noise);
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const label = i % 2;
+            const half = Math.floor(i / 2) / Math.ceil(count / 2);
+            let x;
+            let y;
+
+            switch (name) {
+                case 'xor': {
+                    x = Utils.random(0.05, 1) * (Math.random() < 0.5 ? -1 : 1);
+                    y = Utils.random(0.05, 1) * (Math.random() < 0.5 ? -1 : 1);
+                    if ((x * y > 0 ? 1 : 0) !== label) y = -y;
+                    break;
+                }
+                case 'circles': {
+                    const angle = Utils.random(0, Math.PI * 2);
+                    const radius = label ? Utils.random(0, 0.45) : Utils.random(0.6, 0.95);
+                    x = Math.cos(angle) * radius;
+                    y = Math.sin(angle) * radius;
+                    break;
+                }
+                case 'spirals': {
+                    const radius = half * 0.9;
+                    const angle = half * Math.PI * 3.5 + label * Math.PI;
+                    x = Math.sin(angle) * radius;
+                    y = Math.cos(angle) * radius;
+                    break;
+                }
+                case 'moons': {
+                    const t = half * Math.PI;
+                    x = label ? 1 - Math.cos(t) : Math.cos(t);
+                    y = label ? 0.5 - Math.sin(t) : Math.sin(t);
+                    x = (x - 0.5) * 0.6;
+                    y = (y - 0.25) * 0.9;
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown dataset "${name}"`);
+            }
+
+            points.push({ pos: new Vector2(x + jitter(), y + jitter()), label });
+        }
+        return points;
+    }
+}
+
+// Fully connected binary classifier: hidden layers use the chosen activation, the single
+// output unit is a sigmoid trained with cross-entropy, so the output delta is simply p - y.
+class MLP {
+    constructor(sizes, activation = 'tanh') {
+        this.sizes = sizes;
+        this.activation = ACTIVATIONS[activation];
+        this.weights = [];
+        this.biases = [];
+
+        for (let l = 1; l < sizes.length; l++) {
+            const fanIn = sizes[l - 1];
+            const fanOut = sizes[l];
+            const limit = Math.sqrt(6 / (fanIn + fanOut));
+            const weights = [];
+            for (let i = 0; i < fanIn * fanOut; i++) {
+                weights.push(Utils.random(-limit, limit));
+            }
+            this.weights.push(weights);
+            this.biases.push(new Array(fanOut).fill(0));
+        }
+    }
+
+    forward(input) {
+        const activations = [input];
+        const last = this.weights.length - 1;
+
+        for (let l = 0; l <= last; l++) {
+            const prev = activations[l];
+            const weights = this.weights[l];
+            const fn = l === last ? ACTIVATIONS.sigmoid.fn : this.activation.fn;
+            const out = [];
+
+            for (let j = 0; j < this.sizes[l + 1]; j++) {
+                let sum = this.biases[l][j];
+                for (let i = 0; i < prev.length; i++) {
+                    sum += weights[j * prev.length + i] * prev[i];
+                }
+                out.push(fn(sum));
+            }
+            activations.push(out);
+        }
+        return activations;
+    }
+
+    predict(x, y) {
+        const activations = this.forward([x, y]);
+        return activations[activations.length - 1][0];
+    }
+
+    // One gradient descent step over the batch; returns its mean cross-entropy loss.
+    train(batch, rate) {
+        const gradW = this.weights.map(w => new Array(w.length).fill(0));
+        const gradB = this.biases.map(b => new Array(b.length).fill(0));
+        let loss = 0;
+
+        batch.forEach(sample => {
+            const activations = this.forward([sample.pos.x, sample.pos.y]);
+            const p = Utils.clamp(activations[activations.length - 1][0], 1e-7, 1 - 1e-7);
+            loss -= sample.label * Math.log(p) + (1 - sample.label) * Math.log(1 - p);
+
+            let delta = [p - sample.label];
+            for (let l = this.weights.length - 1; l >= 0; l--) {
+                const input = activations[l];
+                const weights = this.weights[l];
+                const nextDelta = l > 0 ? new Array(input.length).fill(0) : null;
+
+                for (let j = 0; j < delta.length; j++) {
+                    gradB[l][j] += delta[j];
+                    for (let i = 0; i < input.length; i++) {
+                        gradW[l][j * input.length + i] += delta[j] * input[i];
+                        if (nextDelta) nextDelta[i] += weights[j * input.length + i] * delta[j];
+                    }
+                }
+
+                if (nextDelta) {
+                    delta = nextDelta.map((d, i) => d * this.activation.grad(input[i]));
+                }
+            }
+        });
+
+        const scale = rate / batch.length;
+        this.weights.forEach((weights, l) => {
+            for (let i = 0; i < weights.length; i++) {
+                weights[i] -= scale * gradW[l][i];
+            }
+        });
+        this.biases.forEach((biases, l) => {
+            for (let j = 0; j < biases.length; j++) {
+                biases[j] -= scale * gradB[l][j];
+            }
+        });
+
+        return loss / batch.length;
+    }
+}
+
+class PlaygroundController {
+    constructor() {
+        this.canvas = null;
+        this.lossCanvas = null;
+        this.buffer = null;
+        this.form = null;
+        this.stats = {};
+        this.model = null;
+        this.data = [];
+        this.losses = [];
+        this.epoch = 0;
+        this.accuracy = 0;
+        this.rate = 0.03;
+        this.running = false;
+        this.visible = true;
+        this.dirty = true;
+        this.lastFrame = null;
+
+        this.handleChange = (e) => {
+            if (e.target.name === 'rate') {
+                this.rate = parseFloat(e.target.value);
+            } else {
+                this.reset();
+            }
+        };
+        this.handleSubmit = (e) => e.preventDefault();
+        this.handleClick = (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'toggle') this.setRunning(!this.running);
+            if (button.dataset.action === 'step') this.step();
+            if (button.dataset.action === 'reset') this.reset();
+        };
+        this.handleRedraw = () => {
+            this.dirty = true;
+        };
+    }
+
+    init() {
+        this.form = document.getElementById('playground-form');
+        if (!this.form) return;
+        this.canvas = new CanvasController('playground-canvas');
+        this.lossCanvas = new CanvasController('playground-loss');
+        if (!this.canvas.isValid || !this.lossCanvas.isValid) return;
+
+        this.buffer = document.createElement('canvas');
+        this.buffer.width = CONFIG.playground.resolution;
+        this.buffer.height = CONFIG.playground.resolution;
+        this.bufferCtx = this.buffer.getContext('2d');
+        ['epoch', 'loss', 'accuracy'].forEach(key => {
+            this.stats[key] = this.form.parentElement.querySelector(`[data-stat="${key}"]`);
+        });
+        this.toggleButton = this.form.querySelector('[data-action="toggle"]');
+
+        this.form.addEventListener('change', this.handleChange);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('click', this.handleClick);
+        Events.on('theme-change', this.handleRedraw);
+        Events.on('resize', this.handleRedraw);
+        this.reset();
+    }
+
+    destroy() {
+        if (!this.canvas) return;
+        this.canvas.destroy();
+        this.lossCanvas.destroy();
+        this.form.removeEventListener('change', this.handleChange);
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('click', this.handleClick);
+        Events.off('theme-change', this.handleRedraw);
+        Events.off('resize', this.handleRedraw);
+        this.running = false;
+    }
+
+    // "8, 8" -> [8, 8], clamped to CONFIG.playground limits and written back normalised.
+    readHidden() {
+        const field = this.form.elements.hidden;
+        const sizes = field.value.split(/[\s,]+/)
+            .map(v => parseInt(v, 10))
+            .filter(v => v > 0)
+            .slice(0, CONFIG.playground.maxLayers)
+            .map(v => Math.min(v, CONFIG.playground.maxUnits));
+        if (sizes.length === 0) sizes.push(8);
+        field.value = sizes.join(', ');
+        return sizes;
+    }
+
+    reset() {
+        const elements = this.form.elements;
+        this.rate = parseFloat(elements.rate.value);
+        this.data = PlaygroundDatasets.generate(elements.dataset.value);
+        this.model = new MLP([2, ...this.readHidden(), 1], elements.activation.value);
+        this.epoch = 0;
+        this.losses = [];
+        this.evaluate();
+        this.dirty = true;
+    }
+
+    setRunning(running) {
+        this.running = running;
+        if (this.toggleButton) {
+            this.toggleButton.innerHTML = running ? '<i class="fas fa-pause"></i> PAUSE' : '<i class="fas fa-play"></i> TRAIN';
+            this.toggleButton.setAttribute('aria-pressed', String(running));
+        }
+        Events.emit('playground-state', { running, epoch: this.epoch });
+    }
+
+    setCanvasSchedule(id, state) {
+        if (this.canvas && this.canvas.id === id) {
+            this.visible = state !== 'paused';
+        }
+    }
+
+    step() {
+        const batchSize = CONFIG.playground.batchSize;
+        const order = this.data.slice();
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        let loss = 0;
+        let batches = 0;
+
+        for (let i = 0; i < order.length; i += batchSize) {
+            loss += this.model.train(order.slice(i, i + batchSize), this.rate);
+            batches++;
+        }
+
+        this.epoch++;
+        this.recordLoss(loss / batches);
+        this.evaluate();
+        this.dirty = true;
+    }
+
+    // Keeps the curve bounded by averaging neighbouring points once the history is full.
+    recordLoss(loss) {
+        this.losses.push(loss);
+        if (this.losses.length > CONFIG.playground.lossHistory) {
+            const merged = [];
+            for (let i = 0; i < this.losses.length; i += 2) {
+                const pair = this.losses.slice(i, i + 2);
+                merged.push(pair.reduce((sum, v) => sum + v, 0) / pair.length);
+            }
+            this.losses = merged;
+        }
+    }
+
+    evaluate() {
+        const correct = this.data.filter(p => (this.model.predict(p.pos.x, p.pos.y) >= 0.5 ? 1 : 0) === p.label);
+        this.accuracy = correct.length / Math.max(1, this.data.length);
+    }
+
+    // At most one epoch per rendered frame, so catch-up steps after a hitch don't stack training.
+    update() {
+        if (!this.running || !this.visible || !this.model) return;
+        if (this.lastFrame === STATE.time.now) return;
+        this.lastFrame = STATE.time.now;
+        this.step();
+    }
+
+    draw() {
+        if (!this.dirty || !this.visible || !this.model) return;
+        this.dirty = false;
+        this.drawBoundary();
+        this.drawLoss();
+        this.renderStats();
+    }
+
+    drawBoundary() {
+        const res = CONFIG.playground.resolution;
+        const { width, height, ctx } = this.canvas;
+        const { cyan, pink, background, ink } = CONFIG.theme.rgb;
+        const image = this.bufferCtx.createImageData(res, res);
+
+        for (let j = 0; j < res; j++) {
+            for (let i = 0; i < res; i++) {
+                const p = this.model.predict(Utils.map(i + 0.5, 0, res, -1, 1), Utils.map(j + 0.5, 0, res, 1, -1));
+                const tint = p >= 0.5 ? cyan : pink;
+                const t = Math.abs(p - 0.5) * 1.2;
+                const idx = (j * res + i) * 4;
+                image.data[idx] = Utils.lerp(background.r, tint.r, t);
+                image.data[idx + 1] = Utils.lerp(background.g, tint.g, t);
+                image.data[idx + 2] = Utils.lerp(background.b, tint.b, t);
+                image.data[idx + 3] = 255;
+            }
+        }
+        this.bufferCtx.putImageData(image, 0, 0);
+
+        this.canvas.clear();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.buffer, 0, 0, width, height);
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = `rgba(${ink.r}, ${ink.g}, ${ink.b}, 0.8)`;
+        this.data.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(Utils.map(point.pos.x, -1, 1, 0, width), Utils.map(point.pos.y, 1, -1, 0, height), 3.5, 0, Math.PI * 2);
+            ctx.fillStyle = point.label ? CONFIG.theme.colors.cyan : CONFIG.theme.colors.pink;
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+
+    drawLoss() {
+        const { width, height, ctx } = this.lossCanvas;
+        this.lossCanvas.clear();
+        if (this.losses.length < 2) return;
+
+        const max = Math.max(...this.losses);
+        ctx.beginPath();
+        this.losses.forEach((loss, i) => {
+            const x = Utils.map(i, 0, this.losses.length - 1, 0, width);
+            const y = Utils.map(loss, 0, max, height - 4, 4);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.strokeStyle = CONFIG.theme.colors.cyan;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    renderStats() {
+        const loss = this.losses[this.losses.length - 1];
+        if (this.stats.epoch) this.stats.epoch.textContent = this.epoch;
+        if (this.stats.loss) this.stats.loss.textContent = loss === undefined ? '—' : loss.toFixed(4);
+        if (this.stats.accuracy) this.stats.accuracy.textContent = `${(this.accuracy * 100).toFixed(1)}%`;
+    }
+}
+
+class RenderWorkerBridge {
+    constructor(ids, fallback) {
+        this.ids = ids;
+        this.fallback = fallback;
+        this.worker = null;
+        this.elements = [];
+        this.lastMouse = '';
+        this.lastNetwork = '';
+        this.handleResize = () => this.post({ type: 'resize', screen: STATE.screen, isMobile: CONFIG.core.isMobile, sizes: this.measureAll() });
+        this.handleScroll = Utils.throttle(() => this.post({ type: 'scroll', sizes: this.measureAll() }), 50);
+        this.handleQuality = (quality) => this.post({ type: 'quality', quality });
+        this.handleMotion = ({ reduced }) => this.post({ type: 'motion', reduced });
+        this.handleTheme = ({ colors }) => this.post({ type: 'theme', colors });
+        this.handleMessage = (e) => {
+            if (!e.data) return;
+            if (e.data.type === 'event') {
+                Events.emit(e.data.name, e.data.payload);
+            } else if (e.data.type === 'frame-cost') {
+                STATE.time.workerWork = e.data.work;
+                STATE.time.workerDelta = e.data.delta;
+            }
+        };
+        this.handleError = (err) => {
+            console.warn(`[${CONFIG.core.id}] render worker failed, falling back to main thread`, err.message || err);
+            this.restore();
+        };
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+    }
+
+    init() {
+        this.elements = this.ids.map(id => document.getElementById(id)).filter(Boolean);
+        if (this.elements.length === 0) return;
+
+        try {
+            this.worker = new Worker(CONFIG.core.workerUrl);
+        } catch (err) {
+            this.handleError(err);
+            return;
+        }
+        this.worker.addEventListener('error', this.handleError);
+        this.worker.addEventListener('message', this.handleMessage);
+
+        const canvases = this.elements.map(el => Object.assign({
+            id: el.id,
+            canvas: el.transferControlToOffscreen()
+        }, this.measure(el)));
+
+        this.worker.postMessage({
+            type: 'init',
+            screen: STATE.screen,
+            core: { isMobile: CONFIG.core.isMobile, reducedMotion: CONFIG.core.reducedMotion },
+            colors: CONFIG.theme.colors,
+            canvases
+        }, canvases.map(entry => entry.canvas));
+
+        Events.on('resize', this.handleResize);
+        Events.on('quality-change', this.handleQuality);
+        Events.on('motion-change', this.handleMotion);
+        Events.on('theme-change', this.handleTheme);
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+    }
+
+    measure(el) {
+        const parent = el.parentElement;
+        const width = parent ? parent.clientWidth : 0;
+        const height = parent ? parent.clientHeight : 0;
+        const rect = el.getBoundingClientRect();
+
+        el.style.width = `${width}px`;
+        el.style.height = `${height}px`;
+
+        return {
+            width,
+            height,
+            rect: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom }
+        };
+    }
+
+    measureAll() {
+        const sizes = {};
+        this.elements.forEach(el => {
+            sizes[el.id] = this.measure(el);
+        });
+        return sizes;
+    }
+
+    post(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        }
+    }
+
+    update() {
+        const mouse = STATE.mouse;
+        const key = `${mouse.x},${mouse.y},${mouse.isActive},${mouse.isClicking}`;
+        if (key !== this.lastMouse) {
+            this.lastMouse = key;
+            this.post({ type: 'pointer', mouse });
+        }
+
+        const network = `${STATE.network.x},${STATE.network.y}`;
+        if (network !== this.lastNetwork) {
+            this.lastNetwork = network;
+            this.post({ type: 'network', network: STATE.network });
+        }
+    }
+
+    setCanvasSchedule(id, state) {
+        if (this.ids.includes(id)) {
+            this.post({ type: 'schedule', id, state });
+        }
+    }
+
+    pause() {
+        this.post({ type: 'pause' });
+    }
+
+    resume() {
+        this.post({ type: 'resume' });
+    }
+
+    // A canvas can only be transferred once, so recovering from a dead worker means
+    // swapping in fresh elements before the main-thread systems look them up by id.
+    restore() {
+        this.destroy();
+        this.elements.forEach(el => el.replaceWith(el.cloneNode(false)));
+        this.elements = [];
+        if (this.fallback) {
+            this.fallback();
+            this.fallback = null;
+        }
+        Events.emit('canvas-replaced', this.ids);
+    }
+
+    destroy() {
+        Events.off('resize', this.handleResize);
+        Events.off('quality-change', this.handleQuality);
+        Events.off('motion-change', this.handleMotion);
+        Events.off('theme-change', this.handleTheme);
+        window.removeEventListener('scroll', this.handleScroll);
+        STATE.time.workerWork = 0;
+        STATE.time.workerDelta = 0;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Types phrases into an element and deletes them again, one grapheme at a time so Devanagari
+// conjuncts never show half-built. A phrase is a string or { text, typeSpeed, deleteSpeed, delay };
+// with `format` it may use the **bold** syntax of Utils.formatInline, and every intermediate
+// state is cut from the parsed markup so tags always stay balanced. Pausing is keyed by reason
+// ('manual', 'offscreen', 'app') and the engine only runs again once every reason is cleared.
+class TypingEngine extends EventManager {
+    constructor(elementId, phrases, options = {}) {
+        super();
+        this.element = document.getElementById(elementId);
+        this.options = Object.assign({
+            typeSpeed: CONFIG.ui.typingSpeed,
+            deleteSpeed: 30,
+            delay: 2000,
+            startDelay: 0,
+            loop: true,
+            shuffle: false,
+            format: false,
+            strongClass: null,
+            cursor: '|'
+        }, options);
+        this.phrases = phrases.map(phrase => this.prepare(phrase));
+
+        this.output = null;
+        this.observer = null;
+        this.timer = null;
+        this.nextDelay = 0;
+        this.holds = new Set();
+        this.started = false;
+        this.done = false;
+        this.destroyed = false;
+
+        this.order = [];
+        this.step = 0;
+        this.count = 0;
+        this.cycle = 0;
+        this.phase = 'typing';
+
+        this.finished = new Promise(resolve => {
+            this.resolveFinished = resolve;
+        });
+        this.handleIntersect = (entries) => entries.forEach(entry => {
+            if (entry.isIntersecting) this.resume('offscreen');
+            else this.pause('offscreen');
+        });
+    }
+
+    static graphemes(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            TypingEngine.segmenter = TypingEngine.segmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            return Array.from(TypingEngine.segmenter.segment(text), part => part.segment);
+        }
+        return Array.from(text);
+    }
+
+    // Clones the first `count` graphemes of `source`. Elements are copied whole around their
+    // truncated text, so a half-typed <strong> is still a closed element.
+    static slice(source, count) {
+        const fragment = document.createDocumentFragment();
+        let remaining = count;
+        const copy = (node, parent) => {
+            for (const child of Array.from(node.childNodes)) {
+                if (remaining <= 0) return;
+                if (child.nodeType === 3) {
+                    const chars = TypingEngine.graphemes(child.data);
+                    parent.appendChild(document.createTextNode(chars.slice(0, remaining).join('')));
+                    remaining -= chars.length;
+                } else if (child.nodeType === 1) {
+                    const clone = child.cloneNode(false);
+                    parent.appendChild(clone);
+                    copy(child, clone);
+                }
+            }
+        };
+        copy(source, fragment);
+        return fragment;
+    }
+
+    prepare(phrase) {
+        const entry = Object.assign({
+            typeSpeed: this.options.typeSpeed,
+            deleteSpeed: this.options.deleteSpeed,
+            delay: this.options.delay
+        }, typeof phrase === 'string' ? { text: phrase } : phrase);
+
+        const template = document.createElement('template');
+        if (this.options.format) {
+            template.innerHTML = Utils.formatInline(entry.text, this.options.strongClass);
+        } else {
+            template.content.appendChild(document.createTextNode(entry.text));
+        }
+        entry.source = template.content;
+        entry.length = TypingEngine.graphemes(template.content.textContent).length;
+        return entry;
+    }
+
+    // Returns a promise for the next emission of `event`.
+    once(event) {
+        return new Promise(resolve => {
+            const handler = (payload) => {
+                this.off(event, handler);
+                resolve(payload);
+            };
+            this.on(event, handler);
+        });
+    }
+
+    // Resolves with { completed } once a non-looping run ends or the engine is destroyed.
+    start() {
+        if (!this.element || this.started || this.destroyed) return this.finished;
+        this.started = true;
+
+        this.output = document.createElement('span');
+        this.output.className = 'typewriter-text';
+        this.element.replaceChildren(this.output);
+
+        if (CONFIG.core.reducedMotion || this.phrases.length === 0) {
+            if (this.phrases.length) {
+                this.count = this.phrases[0].length;
+                this.order = [0];
+                this.render(this.phrases[0]);
+                this.emit('phrase-typed', { index: 0, text: this.phrases[0].text, cycle: 0 });
+                Events.emit('typewriter-phrase', { id: this.element.id, index: 0, text: this.phrases[0].text });
+            }
+            this.complete();
+            return this.finished;
+        }
+
+        if (this.options.cursor) {
+            const cursor = document.createElement('span');
+            cursor.className = 'typewriter-cursor';
+            cursor.textContent = this.options.cursor;
+            this.element.appendChild(cursor);
+        }
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(this.handleIntersect);
+            this.observer.observe(this.element);
+        }
+
+        this.order = this.sequence();
+        this.emit('start');
+        this.schedule(this.options.startDelay);
+        return this.finished;
+    }
+
+    pause(reason = 'manual') {
+        const running = this.holds.size === 0;
+        this.holds.add(reason);
+        if (!running || !this.element) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.element.classList.add('is-paused');
+        this.emit('pause', { reason });
+    }
+
+    resume(reason = 'manual') {
+        if (!this.holds.delete(reason) || this.holds.size > 0 || !this.element) return;
+        this.element.classList.remove('is-paused');
+        this.emit('resume', { reason });
+        if (this.started && !this.done && !this.destroyed) this.schedule(this.nextDelay);
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        clearTimeout(this.timer);
+        this.disconnect();
+        if (this.element) {
+            this.element.classList.remove('is-paused');
+            this.element.replaceChildren();
+        }
+        this.emit('destroy');
+        this.resolveFinished({ completed: false });
+    }
+
+    disconnect() {
+        if (!this.observer) return;
+        this.observer.disconnect();
+        this.observer = null;
+    }
+
+    // Phrase indices for one cycle; a shuffled cycle never opens with the phrase that just closed the last.
+    sequence(previous = null) {
+        const order = this.phrases.map((_, i) => i);
+        if (!this.options.shuffle) return order;
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        if (order.length > 1 && order[0] === previous) {
+            [order[0], order[1]] = [order[1], order[0]];
+        }
+        return order;
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextDelay = delay;
+        if (this.holds.size > 0 || this.destroyed) return;
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    render(phrase) {
+        this.output.replaceChildren(TypingEngine.slice(phrase.source, this.count));
+    }
+
+    tick() {
+        this.timer = null;
+        const phrase = this.phrases[this.order[this.step]];
+
+        if (this.phase === 'typing') {
+            this.count++;
+            this.render(phrase);
+            if (this.count < phrase.length) {
+                this.schedule(phrase.typeSpeed);
+            } else {
+                this.typed(phrase);
+            }
+        } else if (this.phase === 'holding') {
+            this.phase = 'deleting';
+            this.tick();
+        } else {
+            this.count--;
+            this.render(phrase);
+            if (this.count > 0) {
+                this.schedule(phrase.deleteSpeed);
+            } else {
+                this.advance();
+            }
+        }
+    }
+
+    typed(phrase) {
+        const index = this.order[this.step];
+        this.emit('phrase-typed', { index, text: phrase.text, cycle: this.cycle });
+        Events.emit('typewriter-phrase', { id: this.element.id, index, text: phrase.text });
+        if (this.destroyed) return;
+
+        if (this.step === this.order.length - 1) {
+            this.emit('cycle-complete', { cycle: this.cycle });
+            if (this.destroyed) return;
+            if (!this.options.loop) {
+                this.complete();
+                return;
+            }
+        }
+        this.phase = 'holding';
+        this.schedule(phrase.delay);
+    }
+
+    advance() {
+        this.step++;
+        if (this.step >= this.order.length) {
+            this.cycle++;
+            this.step = 0;
+            this.order = this.sequence(this.order[this.order.length - 1]);
+        }
+        this.phase = 'typing';
+        this.schedule(this.phrases[this.order[this.step]].typeSpeed);
+    }
+
+    complete() {
+        this.done = true;
+        this.disconnect();
+        this.emit('complete');
+        this.resolveFinished({ completed: true });
+    }
+}
+
+TypingEngine.segmenter = null;
+
+// Scroll reveal for the AOS attributes used in the markup: data-aos names the animation, with
+// data-aos-delay, data-aos-duration and data-aos-once="false" for elements that replay whenever
+// they come back up into view. Children of a [data-aos-stagger="ms"] container that enter
+// together are staggered by that amount. The animations are CSS keyed off html.reveal-on, so
+// without the observer (or under reduced motion) everything is simply visible.
+class ScrollReveal {
+    constructor() {
+        this.observer = null;
+        this.timers = new Map();
+        this.handleIntersect = (entries) => {
+            const groups = new Map();
+            entries
+                .filter(entry => entry.isIntersecting)
+                .map(entry => entry.target)
+                .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+                .forEach(el => {
+                    let delay = parseInt(el.dataset.aosDelay, 10) || 0;
+                    const group = el.parentElement && el.parentElement.closest('[data-aos-stagger]');
+                    if (group) {
+                        const index = groups.get(group) || 0;
+                        groups.set(group, index + 1);
+                        delay += index * (parseInt(group.dataset.aosStagger, 10) || CONFIG.reveal.stagger);
+                    }
+                    this.reveal(el, delay);
+                });
+
+            // Like AOS, elements only reset once they drop back below the viewport
+            entries
+                .filter(entry => !entry.isIntersecting && entry.boundingClientRect.top > 0)
+                .forEach(entry => this.reset(entry.target));
+        };
+        this.handleRendered = () => this.scan();
+        this.handleMotion = ({ reduced }) => {
+            if (reduced) {
+                this.disable();
+            } else {
+                this.enable();
+            }
+        };
+    }
+
+    init() {
+        Events.on('content-rendered', this.handleRendered);
+        Events.on('motion-change', this.handleMotion);
+        if (!CONFIG.core.reducedMotion) this.enable();
+    }
+
+    // Elements still on screen are revealed again by the observer's first callback.
+    enable() {
+        if (this.observer || typeof IntersectionObserver === 'undefined') return;
+        document.documentElement.style.setProperty('--reveal-duration', `${CONFIG.reveal.duration}ms`);
+        document.documentElement.classList.add('reveal-on');
+        this.observer = new IntersectionObserver(this.handleIntersect, {
+            rootMargin: `0px 0px -${CONFIG.reveal.offset}px 0px`
+        });
+        this.scan();
+    }
+
+    destroy() {
+        Events.off('content-rendered', this.handleRendered);
+        Events.off('motion-change', this.handleMotion);
+        this.disable();
+    }
+
+    // Dropping the root class shows every element in its final state at once.
+    disable() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        document.documentElement.classList.remove('reveal-on');
+    }
+
+    // Observes [data-aos] elements that have not been revealed yet; call after inserting markup.
+    scan(root = document) {
+        if (!this.observer) return;
+        root.querySelectorAll('[data-aos]:not(.is-revealed)').forEach(el => {
+            const duration = parseInt(el.dataset.aosDuration, 10);
+            if (duration) el.style.setProperty('--reveal-duration', `${duration}ms`);
+            this.observer.observe(el);
+        });
+    }
+
+    repeats(el) {
+        return el.dataset.aosOnce ? el.dataset.aosOnce === 'false' : !CONFIG.reveal.once;
+    }
+
+    reveal(el, delay) {
+        if (el.classList.contains('is-revealed')) return;
+        el.style.setProperty('--reveal-delay', `${delay}ms`);
+        el.classList.add('is-revealed');
+        Events.emit('reveal', { element: el, animation: el.dataset.aos, delay });
+        if (this.repeats(el)) return;
+
+        // One-shot elements hand their transitions back to their own styles (hover effects) once done
+        this.observer.unobserve(el);
+        const duration = parseInt(el.dataset.aosDuration, 10) || CONFIG.reveal.duration;
+        this.timers.set(el, setTimeout(() => {
+            this.timers.delete(el);
+            el.classList.add('reveal-done');
+            el.style.removeProperty('--reveal-delay');
+        }, delay + duration));
+    }
+
+    reset(el) {
+        if (!this.repeats(el) || !el.classList.contains('is-revealed')) return;
+        el.style.setProperty('--reveal-delay', '0ms');
+        el.classList.remove('is-revealed');
+        Events.emit('reveal-reset', { element: el, animation: el.dataset.aos });
+    }
+}
+
+// The active section is the one crossing a thin band CONFIG.ui.spyLine of the way down the
+// viewport. An IntersectionObserver does the geometry, so scrolling never reads section offsets;
+// sections added later are picked up by a MutationObserver on the main container.
+class ScrollSpy {
+    constructor(router = null) {
+        this.router = router;
+        this.container = null;
+        this.observer = null;
+        this.mutations = null;
+        this.sections = new Set();
+        this.visible = new Set();
+        this.current = null;
+        this.progress = null;
+        this.progressFrame = null;
+        this.navigating = false;
+        this.settleTimer = null;
+
+        this.handleIntersect = (entries) => {
+            entries.forEach(entry => {
+                const section = entry.target;
+                if (entry.isIntersecting && !this.visible.has(section)) {
+                    this.visible.add(section);
+                    Events.emit('section-enter', { id: section.id });
+                } else if (!entry.isIntersecting && this.visible.delete(section)) {
+                    Events.emit('section-leave', { id: section.id });
+                }
+            });
+            this.refresh();
+        };
+        this.handleMutations = (records) => {
+            records.forEach(record => {
+                record.addedNodes.forEach(node => ScrollSpy.sectionsIn(node).forEach(section => this.observe(section)));
+                record.removedNodes.forEach(node => ScrollSpy.sectionsIn(node).forEach(section => this.unobserve(section)));
+            });
+        };
+        this.handleScroll = () => {
+            if (this.navigating) this.settle();
+            this.scheduleProgress();
+        };
+        this.handleResize = () => this.scheduleProgress();
+        // Scrolling caused by a route is already reflected in the URL
+        this.handleRoute = () => {
+            this.navigating = true;
+            this.settle();
+        };
+    }
+
+    static sectionsIn(node) {
+        if (node.nodeType !== 1) return [];
+        const found = Array.from(node.querySelectorAll('section[id]'));
+        return node.matches('section[id]') ? [node, ...found] : found;
+    }
+
+    init() {
+        if (typeof IntersectionObserver === 'undefined') return;
+        this.container = document.getElementById('scroll-container') || document.body;
+        this.progress = document.querySelector('.hud-progress-bar');
+
+        const line = CONFIG.ui.spyLine * 100;
+        this.observer = new IntersectionObserver(this.handleIntersect, {
+            rootMargin: `-${line}% 0px -${99 - line}% 0px`
+        });
+        ScrollSpy.sectionsIn(this.container).forEach(section => this.observe(section));
+
+        if (typeof MutationObserver !== 'undefined') {
+            this.mutations = new MutationObserver(this.handleMutations);
+            this.mutations.observe(this.container, { childList: true, subtree: true });
+        }
+
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        Events.on('resize', this.handleResize);
+        Events.on('route-change', this.handleRoute);
+        this.renderProgress();
+    }
+
+    destroy() {
+        if (!this.observer) return;
+        this.observer.disconnect();
+        this.observer = null;
+        if (this.mutations) {
+            this.mutations.disconnect();
+            this.mutations = null;
+        }
+        window.removeEventListener('scroll', this.handleScroll);
+        Events.off('resize', this.handleResize);
+        Events.off('route-change', this.handleRoute);
+        cancelAnimationFrame(this.progressFrame);
+        clearTimeout(this.settleTimer);
+        this.progressFrame = null;
+        this.settleTimer = null;
+        this.navigating = false;
+        this.sections.clear();
+        this.visible.clear();
+    }
+
+    observe(section) {
+        if (this.sections.has(section)) return;
+        this.sections.add(section);
+        this.observer.observe(section);
+        this.scheduleProgress();
+    }
+
+    unobserve(section) {
+        if (!this.sections.delete(section)) return;
+        this.observer.unobserve(section);
+        if (this.visible.delete(section)) {
+            Events.emit('section-leave', { id: section.id });
+            this.refresh();
+        }
+        this.scheduleProgress();
+    }
+
+    ordered(sections) {
+        return Array.from(sections).sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+    }
+
+    // Two sections share the band only for a moment at their boundary; the earlier one wins.
+    refresh() {
+        const active = this.ordered(this.visible)[0];
+        if (active) this.updateNav(active.id);
+    }
+
+    updateNav(id) {
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.classList.remove('active');
+            link.removeAttribute('aria-current');
+            const href = link.getAttribute('href');
+            if (href === `#/${id}`) {
+                link.classList.add('active');
+                link.setAttribute('aria-current', 'location');
+            }
+        });
+
+        if (id !== this.current) {
+            this.current = id;
+            Events.emit('section-change', { id });
+            this.syncHash(id);
+        }
+    }
+
+    // The first section is the bare URL; project overlays own their path and are left alone.
+    syncHash(id) {
+        if (!this.router || this.navigating) return;
+        if (!/^\/[^/]*$/.test(this.router.current || '/')) return;
+        const first = this.ordered(this.sections)[0];
+        this.router.sync(first && first.id === id ? '/' : `/${id}`);
+    }
+
+    settle() {
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => {
+            this.settleTimer = null;
+            this.navigating = false;
+        }, CONFIG.ui.scrollSettle);
+    }
+
+    scheduleProgress() {
+        if (this.progressFrame || !this.observer) return;
+        this.progressFrame = requestAnimationFrame(() => {
+            this.progressFrame = null;
+            this.renderProgress();
+        });
+    }
+
+    renderProgress() {
+        if (!this.progress) return;
+        const max = document.documentElement.scrollHeight - window.innerHeight;
+        const ratio = max > 0 ? Utils.clamp(window.scrollY / max, 0, 1) : 0;
+        this.progress.style.transform = `scaleX(${ratio})`;
+    }
+}
+
+// Working-hours status in CONFIG.availability.timeZone, independent of the visitor's zone.
+// Dates are compared as 'YYYY-MM-DD' strings in that zone.
+class AvailabilityEngine {
+    constructor(config) {
+        this.config = config;
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: config.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short'
+        });
+    }
+
+    static minutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static dateKey(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // Wall-clock fields of `date` in the configured zone.
+    zoned(date) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            hour: Number(parts.hour) % 24,
+            minute: Number(parts.minute),
+            weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+        };
+    }
+
+    // The instant at which the zone's wall clock reads the given time. Two passes settle DST edges.
+    instant(year, month, day, minutes) {
+        const target = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+        let guess = target;
+        for (let i = 0; i < 2; i++) {
+            const wall = this.zoned(new Date(guess));
+            guess += target - Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+        }
+        return new Date(guess);
+    }
+
+    awayOn(key) {
+        return this.config.away.find(period => key >= period.from && key <= period.to) || null;
+    }
+
+    hoursOn(key, weekday) {
+        if (this.config.holidays.includes(key) || this.awayOn(key)) return null;
+        return this.config.hours[weekday] || null;
+    }
+
+    status(now = new Date()) {
+        const wall = this.zoned(now);
+        const key = AvailabilityEngine.dateKey(wall.year, wall.month, wall.day);
+        const away = this.awayOn(key);
+        const hours = this.hoursOn(key, wall.weekday);
+        const minute = wall.hour * 60 + wall.minute;
+
+        let state = 'offline';
+        if (away) {
+            state = 'away';
+        } else if (hours && minute >= AvailabilityEngine.minutes(hours[0]) && minute < AvailabilityEngine.minutes(hours[1])) {
+            state = 'online';
+        }
+
+        return {
+            state,
+            note: away ? away.note || '' : '',
+            next: state === 'online' ? null : this.nextAvailable(now, wall)
+        };
+    }
+
+    nextAvailable(now, wall = this.zoned(now)) {
+        for (let offset = 0; offset <= this.config.lookahead; offset++) {
+            const day = new Date(Date.UTC(wall.year, wall.month - 1, wall.day + offset));
+            const year = day.getUTCFullYear();
+            const month = day.getUTCMonth() + 1;
+            const date = day.getUTCDate();
+            const hours = this.hoursOn(AvailabilityEngine.dateKey(year, month, date), day.getUTCDay());
+            if (!hours) continue;
+
+            const start = this.instant(year, month, date, AvailabilityEngine.minutes(hours[0]));
+            if (start > now) return start;
+        }
+        return null;
+    }
+}
+
+// HUD clock in the configured zone, an optional readout of the visitor's own time, and
+// the availability status derived from AvailabilityEngine.
+class ClockController {
+    constructor() {
+        this.el = null;
+        this.localEl = null;
+        this.statusEl = null;
+        this.timer = null;
+        this.engine = new AvailabilityEngine(CONFIG.availability);
+        this.status = null;
+        this.lastMinute = null;
+        this.visitorZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.handleLocale = () => {
+            this.lastMinute = null;
+            this.update();
+        };
+    }
+
+    init() {
+        this.el = document.getElementById('sys-clock');
+        this.localEl = document.getElementById('sys-clock-local');
+        this.statusEl = document.getElementById('hud-status');
+
+        const zoneLabel = document.getElementById('sys-clock-zone');
+        if (zoneLabel) zoneLabel.textContent = CONFIG.availability.zoneLabel;
+        const localItem = this.localEl && this.localEl.closest('.hud-item');
+        if (localItem) {
+            localItem.hidden = !CONFIG.availability.showLocal || this.visitorZone === CONFIG.availability.timeZone;
+        }
+
+        Events.on('locale-change', this.handleLocale);
+        if (this.el || this.statusEl) {
+            this.start();
+        }
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        Events.off('locale-change', this.handleLocale);
+    }
+
+    start() {
+        this.update();
+        this.timer = setInterval(() => this.update(), 1000);
+    }
+
+    format(date, options) {
+        return new Intl.DateTimeFormat(LocaleManager.intl(), Object.assign({ hourCycle: 'h23' }, options)).format(date);
+    }
+
+    update() {
+        const now = new Date();
+        const time = { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+        if (this.el) {
+            this.el.textContent = this.format(now, Object.assign({ timeZone: CONFIG.availability.timeZone }, time));
+        }
+        if (this.localEl && !this.localEl.closest('.hud-item').hidden) {
+            this.localEl.textContent = this.format(now, Object.assign({ timeZoneName: 'short' }, time));
+        }
+
+        // Status only changes on minute boundaries
+        const minute = Math.floor(now.getTime() / 60000);
+        if (minute !== this.lastMinute) {
+            this.lastMinute = minute;
+            this.updateStatus(now);
+        }
+    }
+
+    updateStatus(now) {
+        const status = this.engine.status(now);
+        const changed = !this.status || this.status.state !== status.state;
+        this.status = status;
+
+        document.querySelectorAll('[data-availability]').forEach(el => {
+            el.dataset.availability = status.state;
+        });
+        if (this.statusEl) {
+            const label = this.statusEl.querySelector('.hud-status-label');
+            const next = this.statusEl.querySelector('.hud-status-next');
+            label.dataset.i18n = `status.${status.state}`;
+            label.textContent = LocaleManager.t(label.dataset.i18n);
+            next.textContent = status.next ? ` · ${this.describeNext(status.next, now)}` : '';
+            this.statusEl.title = status.note;
+        }
+        if (changed) Events.emit('availability-change', status);
+    }
+
+    // "BACK 10:00 IST" today, "BACK MON 10:00 IST" otherwise.
+    describeNext(next, now) {
+        const zone = { timeZone: CONFIG.availability.timeZone };
+        const sameDay = this.format(next, Object.assign({ dateStyle: 'short' }, zone)) === this.format(now, Object.assign({ dateStyle: 'short' }, zone));
+        const soon = next - now < 6 * 24 * 60 * 60 * 1000;
+        const options = Object.assign({ hour: '2-digit', minute: '2-digit' }, zone);
+        if (!sameDay) Object.assign(options, soon ? { weekday: 'short' } : { month: 'short', day: 'numeric' });
+
+        const when = `${this.format(next, options)} ${CONFIG.availability.zoneLabel}`;
+        return LocaleManager.t('status.next').replace('{time}', when.toUpperCase());
+    }
+}
+
+// Off-canvas sidebar below the mobile breakpoint. While closed it is inert so Tab doesn't
+// wander through hidden links; while open, focus is trapped between it and the toggle.
+class MobileMenuController {
+    constructor() {
+        this.toggle = null;
+        this.sidebar = null;
+        this.links = [];
+        this.isOpen = false;
+        this.query = window.matchMedia('(max-width: 992px)');
+
+        this.handleToggle = (e) => {
+            e.stopPropagation();
+            this.toggleMenu();
+        };
+        this.handleOutsideClick = (e) => {
+            if (this.isOpen && 
+                !this.sidebar.contains(e.target) && 
+                !this.toggle.contains(e.target)) {
+                this.closeMenu();
+            }
+        };
+        this.handleLinkClick = () => this.closeMenu();
+        this.handleKey = (e) => {
+            if (!this.isOpen) return;
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeMenu(true);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        };
+        this.handleBreakpoint = () => {
+            if (!this.query.matches) this.isOpen = false;
+            this.updateState();
+        };
+        this.handleLocale = () => this.updateState();
+    }
+
+    init() {
+        this.toggle = document.getElementById('mobile-menu-toggle');
+        this.sidebar = document.getElementById('main-sidebar');
+        this.links = document.querySelectorAll('.nav-link');
+        if (!this.toggle || !this.sidebar) return;
+
+        this.toggle.addEventListener('click', this.handleToggle);
+        document.addEventListener('click', this.handleOutsideClick);
+        document.addEventListener('keydown', this.handleKey);
+        if (typeof this.query.addEventListener === 'function') {
+            this.query.addEventListener('change', this.handleBreakpoint);
+        }
+        Events.on('locale-change', this.handleLocale);
+        this.links.forEach(link => {
+            link.addEventListener('click', this.handleLinkClick);
+        });
+        this.updateState();
+    }
+
+    destroy() {
+        if (!this.toggle || !this.sidebar) return;
+        this.closeMenu();
+        this.sidebar.inert = false;
+        this.toggle.removeEventListener('click', this.handleToggle);
+        document.removeEventListener('click', this.handleOutsideClick);
+        document.removeEventListener('keydown', this.handleKey);
+        if (typeof this.query.removeEventListener === 'function') {
+            this.query.removeEventListener('change', this.handleBreakpoint);
+        }
+        Events.off('locale-change', this.handleLocale);
+        this.links.forEach(link => {
+            link.removeEventListener('click', this.handleLinkClick);
+        });
+    }
+
+    focusable() {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex="0"]';
+        const inside = Array.from(this.sidebar.querySelectorAll(selector)).filter(el => el.offsetParent !== null || el === document.activeElement);
+        return [this.toggle, ...inside];
+    }
+
+    trapFocus(e) {
+        const items = this.focusable();
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!items.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    toggleMenu() {
+        this.isOpen = !this.isOpen;
+        this.updateState();
+        if (this.isOpen) {
+            const current = this.sidebar.querySelector('.nav-link[aria-current]') || this.sidebar.querySelector('.nav-link');
+            if (current) current.focus();
+        }
+    }
+
+    closeMenu(restoreFocus = false) {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+        this.updateState();
+        if (wasOpen && restoreFocus) this.toggle.focus();
+    }
+
+    updateState() {
+        if (this.isOpen) {
+            this.sidebar.classList.add('mobile-active');
+            this.toggle.classList.add('active');
+        } else {
+            this.sidebar.classList.remove('mobile-active');
+            this.toggle.classList.remove('active');
+        }
+        this.sidebar.inert = this.query.matches && !this.isOpen;
+        this.toggle.setAttribute('aria-expanded', String(this.isOpen));
+        this.toggle.setAttribute('aria-label', LocaleManager.t(this.isOpen ? 'menu.close' : 'menu.open'));
+    }
+}
+
+// Sliders under the hero canvas feed STATE.network when the pointer is elsewhere, and the
+// readout shows the output layer of the latest forward pass.
+class NetworkInputController {
+    constructor() {
+        this.sliders = {};
+        this.readout = null;
+        this.handleInput = () => {
+            STATE.network.x = parseFloat(this.sliders.x.value);
+            STATE.network.y = parseFloat(this.sliders.y.value);
+        };
+        this.handleForward = ({ x, y, source, outputs }) => {
+            if (source === 'pointer') {
+                this.sliders.x.value = x.toFixed(2);
+                this.sliders.y.value = y.toFixed(2);
+                this.handleInput();
+            }
+            this.render(outputs);
+        };
+    }
+
+    init() {
+        this.sliders.x = document.getElementById('ann-input-x');
+        this.sliders.y = document.getElementById('ann-input-y');
+        this.readout = document.getElementById('ann-output');
+        if (!this.sliders.x || !this.sliders.y) return;
+
+        this.sliders.x.addEventListener('input', this.handleInput);
+        this.sliders.y.addEventListener('input', this.handleInput);
+        Events.on('network-forward', this.handleForward);
+        this.handleInput();
+    }
+
+    destroy() {
+        if (!this.sliders.x || !this.sliders.y) return;
+        this.sliders.x.removeEventListener('input', this.handleInput);
+        this.sliders.y.removeEventListener('input', this.handleInput);
+        Events.off('network-forward', this.handleForward);
+    }
+
+    render(outputs) {
+        if (!this.readout) return;
+        this.readout.textContent = `ŷ = [${outputs.map(v => v.toFixed(2)).join(', ')}]`;
+    }
+}
+
+// Resolves CONFIG.core.reducedMotion from the OS preference unless the visitor has
+// overridden it with the sidebar toggle ('reduce' or 'full', kept in localStorage).
+class MotionController {
+    constructor() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.override = Utils.load('motion');
+        this.button = null;
+        this.handleClick = () => this.toggle();
+        this.handleSystemChange = () => {
+            if (this.override === null) this.apply();
+        };
+
+        CONFIG.core.reducedMotion = this.resolve();
+    }
+
+    init() {
+        this.button = document.getElementById('motion-toggle');
+        if (this.button) {
+            this.button.addEventListener('click', this.handleClick);
+        }
+        if (typeof this.query.addEventListener === 'function') {
+            this.query.addEventListener('change', this.handleSystemChange);
+        }
+        this.render();
+    }
+
+    destroy() {
+        if (this.button) {
+            this.button.removeEventListener('click', this.handleClick);
+        }
+        if (typeof this.query.removeEventListener === 'function') {
+            this.query.removeEventListener('change', this.handleSystemChange);
+        }
+    }
+
+    resolve() {
+        return this.override === null ? this.query.matches : this.override === 'reduce';
+    }
+
+    toggle() {
+        this.set(CONFIG.core.reducedMotion ? 'full' : 'reduce');
+    }
+
+    set(override) {
+        this.override = override;
+        Utils.save('motion', override);
+        this.apply();
+    }
+
+    apply() {
+        const reduced = this.resolve();
+        if (reduced === CONFIG.core.reducedMotion) return;
+
+        CONFIG.core.reducedMotion = reduced;
+        this.render();
+        Events.emit('motion-change', { reduced });
+    }
+
+    render() {
+        document.documentElement.classList.toggle('reduced-motion', CONFIG.core.reducedMotion);
+        if (!this.button) return;
+        this.button.setAttribute('aria-pressed', String(CONFIG.core.reducedMotion));
+        const state = this.button.querySelector('.motion-toggle-state');
+        state.dataset.i18n = CONFIG.core.reducedMotion ? 'motion.on' : 'motion.off';
+        state.textContent = LocaleManager.t(state.dataset.i18n);
+    }
+}
+
+// Palette keys mapped onto the :root custom properties in index.html. The RGB triplets
+// back the rgba(var(--rgb-*), a) tints used throughout the stylesheet.
+const THEME_VARIABLES = {
+    background: '--color-bg-deep',
+    surface: '--color-bg-surface',
+    scrolled: '--color-bg-scrolled',
+    cyan: '--color-accent-cyan',
+    purple: '--color-accent-purple',
+    pink: '--color-accent-pink',
+    green: '--color-accent-green',
+    yellow: '--color-accent-yellow',
+    text: '--color-text',
+    heading: '--color-heading',
+    muted: '--color-muted',
+    dim: '--color-dim'
+};
+
+const THEME_RGB_VARIABLES = {
+    background: '--rgb-bg',
+    surface: '--rgb-surface',
+    cyan: '--rgb-accent',
+    purple: '--rgb-purple',
+    green: '--rgb-green',
+    ink: '--rgb-ink'
+};
+
+class ThemeManager {
+    constructor() {
+        this.queries = {
+            light: window.matchMedia('(prefers-color-scheme: light)'),
+            contrast: window.matchMedia('(prefers-contrast: more)')
+        };
+        this.stored = Utils.load('theme');
+        this.current = null;
+        this.select = null;
+        this.handleSystemChange = () => {
+            if (!this.stored) this.apply(this.preferred());
+        };
+        this.handleSelect = () => this.set(this.select.value);
+    }
+
+    static setPalette(colors) {
+        CONFIG.theme.colors = Object.assign({}, colors);
+        CONFIG.theme.rgb = {};
+        Object.keys(colors).forEach(key => {
+            CONFIG.theme.rgb[key] = Utils.hexToRgb(colors[key]);
+        });
+    }
+
+    init() {
+        this.select = document.getElementById('theme-select');
+        if (this.select) {
+            this.select.innerHTML = Object.keys(CONFIG.theme.themes).map(name =>
+                `<option value="${name}">${Utils.escapeHTML(CONFIG.theme.themes[name].label)}</option>`
+            ).join('');
+            this.select.addEventListener('change', this.handleSelect);
+        }
+        Object.values(this.queries).forEach(query => {
+            if (typeof query.addEventListener === 'function') {
+                query.addEventListener('change', this.handleSystemChange);
+            }
+        });
+        this.apply(this.stored && CONFIG.theme.themes[this.stored] ? this.stored : this.preferred());
+    }
+
+    destroy() {
+        if (this.select) {
+            this.select.removeEventListener('change', this.handleSelect);
+        }
+        Object.values(this.queries).forEach(query => {
+            if (typeof query.removeEventListener === 'function') {
+                query.removeEventListener('change', this.handleSystemChange);
+            }
+        });
+    }
+
+    preferred() {
+        if (this.queries.contrast.matches) return 'high-contrast';
+        if (this.queries.light.matches) return 'light';
+        return CONFIG.theme.default;
+    }
+
+    names() {
+        return Object.keys(CONFIG.theme.themes);
+    }
+
+    set(name) {
+        if (!CONFIG.theme.themes[name]) {
+            throw new Error(`Unknown theme "${name}"`);
+        }
+        this.stored = name;
+        Utils.save('theme', name);
+        this.apply(name);
+    }
+
+    apply(name) {
+        if (name === this.current) return;
+        const colors = CONFIG.theme.themes[name].colors;
+        const root = document.documentElement;
+
+        ThemeManager.setPalette(colors);
+        Object.keys(THEME_VARIABLES).forEach(key => {
+            root.style.setProperty(THEME_VARIABLES[key], colors[key]);
+        });
+        Object.keys(THEME_RGB_VARIABLES).forEach(key => {
+            const { r, g, b } = CONFIG.theme.rgb[key];
+            root.style.setProperty(THEME_RGB_VARIABLES[key], `${r}, ${g}, ${b}`);
+        });
+        root.dataset.theme = name;
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) meta.setAttribute('content', colors.background);
+        if (this.select) this.select.value = name;
+
+        this.current = name;
+        Events.emit('theme-change', { name, colors: CONFIG.theme.colors });
+    }
+}
+
+ThemeManager.setPalette(CONFIG.theme.themes[CONFIG.theme.default].colors);
+
+// Message catalogs. `intl` is the BCP 47 tag handed to Intl formatters; keys missing
+// from a catalog fall back to CONFIG.i18n.fallback.
+const I18N_CATALOGS = {
+    en: {
+        label: 'English',
+        dir: 'ltr',
+        intl: 'en-IN',
+        messages: {
+            'nav.hero': 'HOME',
+            'nav.about': 'ABOUT ME',
+            'nav.skills': 'SKILLS',
+            'nav.projects': 'PROJECTS',
+            'nav.playground': 'PLAYGROUND',
+            'nav.education': 'EDUCATION',
+            'nav.contact': 'CONTACT',
+            'section.about': '01 // ABOUT ME',
+            'section.skills': '02 // TECHNICAL SKILLS',
+            'section.projects': '03 // PROJECTS',
+            'section.playground': '04 // PLAYGROUND',
+            'section.education': '05 // EDUCATION',
+            'section.contact': '06 // CONTACT ME',
+            'hud.location': 'LOCATION:',
+            'hud.locationValue': 'GWALIOR, IN',
+            'hud.status': 'STATUS:',
+            'hud.local': 'LOCAL',
+            'menu.open': 'Open navigation',
+            'menu.close': 'Close navigation',
+            'a11y.skipContent': 'Skip to content',
+            'a11y.skipNav': 'Skip to navigation',
+            'a11y.section': 'Section: {name}',
+            'a11y.heroNetwork': 'An animated neural network with {inputs} inputs and {outputs} outputs runs inference on your pointer position or the sliders below.',
+            'status.online': 'ONLINE',
+            'status.away': 'AWAY',
+            'status.offline': 'OFFLINE',
+            'status.next': 'BACK {time}',
+            'hud.search': 'SEARCH',
+            'hud.searchLabel': 'Search portfolio (Ctrl+K)',
+            'sidebar.theme': 'Theme',
+            'sidebar.language': 'Language',
+            'motion.label': 'REDUCE MOTION:',
+            'motion.on': 'ON',
+            'motion.off': 'OFF',
+            'analytics.label': 'ANALYTICS:',
+            'analytics.on': 'ON',
+            'analytics.off': 'OFF',
+            'analytics.dnt': 'OFF (DNT)',
+            'hero.viewWork': 'VIEW WORK',
+            'hero.resume': 'DOWNLOAD RÉSUMÉ',
+            'hero.hint': '// HOVER OR SLIDE TO RUN INFERENCE',
+            'typewriter.role': ['ML Engineer', 'Data Scientist', 'M.Tech Scholar', 'Python Dev'],
+            'typewriter.hero': ['MACHINE LEARNING ENGINEER', 'DEEP LEARNING RESEARCHER', 'COMPUTER VISION SPECIALIST', 'AI ENTHUSIAST'],
+            'education.present': 'Present',
+            'declaration.text': '"I hereby declare that the information provided is true to the best of my knowledge."',
+            'declaration.signature': '-- Abhishek Kumar',
+            'filter.technologies': 'Technologies',
+            'filter.match': 'Match',
+            'filter.any': 'ANY',
+            'filter.all': 'ALL',
+            'filter.clear': 'CLEAR',
+            'filter.count': '{total} PROJECTS',
+            'filter.countOf': '{visible} OF {total} PROJECTS',
+            'filter.showUsing': 'Show projects using {name}',
+            'palette.label': 'Search portfolio',
+            'palette.placeholder': 'Search projects, skills, education...',
+            'palette.empty': 'No matches for "{query}"',
+            'palette.kind.project': 'PROJECT',
+            'palette.kind.skill': 'SKILL',
+            'palette.kind.soft-skill': 'SOFT SKILL',
+            'palette.kind.education': 'EDUCATION',
+            'palette.coreTech': 'Core technology',
+            'palette.softSkill': 'Soft skill',
+            'contact.title': 'TRANSMIT MESSAGE',
+            'contact.label.name': 'NAME',
+            'contact.label.email': 'EMAIL',
+            'contact.label.subject': 'SUBJECT',
+            'contact.label.message': 'MESSAGE',
+            'contact.optional': '(optional)',
+            'contact.send': 'SEND',
+            'contact.field.name': 'Name',
+            'contact.field.email': 'Email',
+            'contact.field.subject': 'Subject',
+            'contact.field.message': 'Message',
+            'contact.error.required': '{field} is required.',
+            'contact.error.min': '{field} needs at least {min} characters.',
+            'contact.error.max': '{field} must be {max} characters or fewer.',
+            'contact.error.email': 'Enter a valid email address.',
+            'contact.status.invalid': 'Please fix the highlighted fields.',
+            'contact.status.tooQuick': 'That was quick! Please wait a moment and send again.',
+            'contact.status.limit': 'Message limit reached. Try again in {minutes} min, or use the email links above.',
+            'contact.status.sending': 'Transmitting...',
+            'contact.status.failed': 'Message could not be sent ({error}). You can still reach me directly:',
+            'contact.status.sent': 'Message sent. I will get back to you soon.',
+            'contact.status.compose': 'Your message is ready. Choose how to send it:',
+            'contact.status.mailto': 'Your mail app should open with the message. Nothing happened?',
+            'contact.copy': 'COPY MESSAGE',
+            'contact.copied': 'COPIED',
+            'contact.copyPrompt': 'Copy your message:',
+            'contact.webmail': 'OPEN IN GMAIL',
+            'contact.mailApp': 'OPEN MAIL APP',
+            'terminal.label': 'System terminal',
+            'terminal.close': 'Close terminal',
+            'terminal.open': 'Open terminal ( ` )',
+            'terminal.boot': 'SYSTEM BOOT SEQUENCE INITIATED...',
+            'terminal.kernel': 'LOADING KERNEL... [OK]',
+            'terminal.mount': 'MOUNTING FILE SYSTEMS... [OK]',
+            'terminal.welcome': 'WELCOME TO ABHISHEK KUMAR PORTFOLIO {version}',
+            'terminal.hint': "Type 'help' to list available commands.",
+            'terminal.notFound': "command not found: {name}. Type 'help' for a list of commands.",
+            'terminal.usage': 'usage: {usage}',
+            'terminal.help.help': 'List commands, or describe one',
+            'terminal.help.ls': 'List projects, skills, education or sections',
+            'terminal.help.cat': 'Print the about file or a project write-up',
+            'terminal.help.open': 'Open a project write-up',
+            'terminal.help.goto': 'Scroll to a section',
+            'terminal.help.theme': 'Switch the interface theme',
+            'terminal.help.analytics': 'Show or change analytics sharing',
+            'terminal.help.history': 'Show command history',
+            'terminal.help.clear': 'Clear the screen',
+            'terminal.help.exit': 'Close the terminal',
+            'terminal.ls.missing': "ls: cannot access '{target}': No such directory",
+            'terminal.cat.operand': 'missing file operand',
+            'terminal.cat.missing': '{name}: No such file',
+            'terminal.cat.stack': 'stack: {stack}',
+            'terminal.open.missing': "{name}: project not found (try 'ls projects')",
+            'terminal.open.opening': 'opening {title}...',
+            'terminal.open.repo': 'repo: {url}',
+            'terminal.goto.missing': '{name}: no such section',
+            'terminal.theme.unknown': "unknown theme '{name}'",
+            'terminal.theme.set': 'theme set to {name}',
+            'terminal.analytics.dnt': 'Do-Not-Track is set, so analytics stay off',
+            'terminal.analytics.unknown': "unknown option '{option}' (try 'analytics on' or 'analytics off')",
+            'terminal.analytics.on': 'analytics on',
+            'terminal.analytics.off': 'analytics off',
+            'terminal.analytics.dntNote': ' (do-not-track)',
+            'terminal.analytics.sinks': 'sinks: {sinks}, stored events: {stored}',
+            'terminal.analytics.none': 'none'
+        }
+    },
+    hi: {
+        label: 'हिन्दी',
+        dir: 'ltr',
+        intl: 'hi-IN',
+        messages: {
+            'nav.hero': 'होम',
+            'nav.about': 'मेरे बारे में',
+            'nav.skills': 'कौशल',
+            'nav.projects': 'प्रोजेक्ट्स',
+            'nav.playground': 'प्लेग्राउंड',
+            'nav.education': 'शिक्षा',
+            'nav.contact': 'संपर्क',
+            'section.about': '01 // मेरे बारे में',
+            'section.skills': '02 // तकनीकी कौशल',
+            'section.projects': '03 // प्रोजेक्ट्स',
+            'section.playground': '04 // प्लेग्राउंड',
+            'section.education': '05 // शिक्षा',
+            'section.contact': '06 // संपर्क करें',
+            'hud.location': 'स्थान:',
+            'hud.locationValue': 'ग्वालियर, भारत',
+            'hud.status': 'स्थिति:',
+            'hud.local': 'स्थानीय',
+            'menu.open': 'नेविगेशन खोलें',
+            'menu.close': 'नेविगेशन बंद करें',
+            'a11y.skipContent': 'सामग्री पर जाएँ',
+            'a11y.skipNav': 'नेविगेशन पर जाएँ',
+            'a11y.section': 'अनुभाग: {name}',
+            'a11y.heroNetwork': '{inputs} इनपुट और {outputs} आउटपुट वाला एक एनिमेटेड न्यूरल नेटवर्क आपके पॉइंटर की स्थिति या नीचे दिए स्लाइडरों पर इन्फ़रेंस चलाता है।',
+            'status.online': 'ऑनलाइन',
+            'status.away': 'दूर',
+            'status.offline': 'ऑफ़लाइन',
+            'status.next': 'वापसी {time}',
+            'hud.search': 'खोजें',
+            'hud.searchLabel': 'पोर्टफ़ोलियो खोजें (Ctrl+K)',
+            'sidebar.theme': 'थीम',
+            'sidebar.language': 'भाषा',
+            'motion.label': 'गति कम करें:',
+            'motion.on': 'चालू',
+            'motion.off': 'बंद',
+            'analytics.label': 'एनालिटिक्स:',
+            'analytics.on': 'चालू',
+            'analytics.off': 'बंद',
+            'analytics.dnt': 'बंद (DNT)',
+            'hero.viewWork': 'काम देखें',
+            'hero.resume': 'रिज़्यूमे डाउनलोड करें',
+            'hero.hint': '// इन्फ़रेंस चलाने के लिए होवर करें या स्लाइड करें',
+            'typewriter.role': ['एमएल इंजीनियर', 'डेटा साइंटिस्ट', 'एम.टेक स्कॉलर', 'पायथन डेवलपर'],
+            'typewriter.hero': ['मशीन लर्निंग इंजीनियर', 'डीप लर्निंग शोधकर्ता', 'कंप्यूटर विज़न विशेषज्ञ', 'एआई उत्साही'],
+            'education.present': 'वर्तमान',
+            'declaration.text': '"मैं घोषणा करता हूँ कि दी गई जानकारी मेरी सर्वोत्तम जानकारी के अनुसार सत्य है।"',
+            'declaration.signature': '-- अभिषेक कुमार',
+            'filter.technologies': 'तकनीकें',
+            'filter.match': 'मिलान',
+            'filter.any': 'कोई भी',
+            'filter.all': 'सभी',
+            'filter.clear': 'साफ़ करें',
+            'filter.count': '{total} प्रोजेक्ट्स',
+            'filter.countOf': '{total} में से {visible} प्रोजेक्ट्स',
+            'filter.showUsing': '{name} वाले प्रोजेक्ट्स दिखाएँ',
+            'palette.label': 'पोर्टफ़ोलियो खोजें',
+            'palette.placeholder': 'प्रोजेक्ट्स, कौशल, शिक्षा खोजें...',
+            'palette.empty': '"{query}" के लिए कोई परिणाम नहीं',
+            'palette.kind.project': 'प्रोजेक्ट',
+            'palette.kind.skill': 'कौशल',
+            'palette.kind.soft-skill': 'सॉफ़्ट स्किल',
+            'palette.kind.education': 'शिक्षा',
+            'palette.coreTech': 'मुख्य तकनीक',
+            'palette.softSkill': 'सॉफ़्ट स्किल',
+            'contact.title': 'संदेश भेजें',
+            'contact.label.name': 'नाम',
+            'contact.label.email': 'ईमेल',
+            'contact.label.subject': 'विषय',
+            'contact.label.message': 'संदेश',
+            'contact.optional': '(वैकल्पिक)',
+            'contact.send': 'भेजें',
+            'contact.field.name': 'नाम',
+            'contact.field.email': 'ईमेल',
+            'contact.field.subject': 'विषय',
+            'contact.field.message': 'संदेश',
+            'contact.error.required': '{field} आवश्यक है।',
+            'contact.error.min': '{field} में कम से कम {min} अक्षर होने चाहिए।',
+            'contact.error.max': '{field} में अधिकतम {max} अक्षर हो सकते हैं।',
+            'contact.error.email': 'मान्य ईमेल पता दर्ज करें।',
+            'contact.status.invalid': 'कृपया चिह्नित फ़ील्ड ठीक करें।',
+            'contact.status.tooQuick': 'बहुत जल्दी! कृपया थोड़ा रुककर फिर से भेजें।',
+            'contact.status.limit': 'संदेश सीमा पूरी हो गई। {minutes} मिनट बाद फिर कोशिश करें, या ऊपर दिए ईमेल लिंक का उपयोग करें।',
+            'contact.status.sending': 'भेजा जा रहा है...',
+            'contact.status.failed': 'संदेश नहीं भेजा जा सका ({error})। आप मुझसे सीधे संपर्क कर सकते हैं:',
+            'contact.status.sent': 'संदेश भेज दिया गया। मैं जल्द ही जवाब दूँगा।',
+            'contact.status.compose': 'आपका संदेश तैयार है। भेजने का तरीका चुनें:',
+            'contact.status.mailto': 'आपका मेल ऐप संदेश के साथ खुलना चाहिए। कुछ नहीं हुआ?',
+            'contact.copy': 'संदेश कॉपी करें',
+            'contact.copied': 'कॉपी हो गया',
+            'contact.copyPrompt': 'अपना संदेश कॉपी करें:',
+            'contact.webmail': 'GMAIL में खोलें',
+            'contact.mailApp': 'मेल ऐप खोलें',
+            'terminal.label': 'सिस्टम टर्मिनल',
+            'terminal.close': 'टर्मिनल बंद करें',
+            'terminal.open': 'टर्मिनल खोलें ( ` )',
+            'terminal.boot': 'सिस्टम बूट प्रक्रिया शुरू...',
+            'terminal.kernel': 'कर्नेल लोड हो रहा है... [OK]',
+            'terminal.mount': 'फ़ाइल सिस्टम माउंट हो रहे हैं... [OK]',
+            'terminal.welcome': 'अभिषेक कुमार पोर्टफ़ोलियो {version} में स्वागत है',
+            'terminal.hint': "उपलब्ध कमांड देखने के लिए 'help' टाइप करें।",
+            'terminal.notFound': "कमांड नहीं मिली: {name}। कमांड सूची के लिए 'help' टाइप करें।",
+            'terminal.usage': 'उपयोग: {usage}',
+            'terminal.help.help': 'कमांड सूचीबद्ध करें, या किसी एक का विवरण दें',
+            'terminal.help.ls': 'प्रोजेक्ट्स, कौशल, शिक्षा या अनुभाग सूचीबद्ध करें',
+            'terminal.help.cat': 'परिचय फ़ाइल या किसी प्रोजेक्ट का विवरण दिखाएँ',
+            'terminal.help.open': 'किसी प्रोजेक्ट का विवरण खोलें',
+            'terminal.help.goto': 'किसी अनुभाग तक स्क्रॉल करें',
+            'terminal.help.theme': 'इंटरफ़ेस थीम बदलें',
+            'terminal.help.analytics': 'एनालिटिक्स साझा करना देखें या बदलें',
+            'terminal.help.history': 'कमांड इतिहास दिखाएँ',
+            'terminal.help.clear': 'स्क्रीन साफ़ करें',
+            'terminal.help.exit': 'टर्मिनल बंद करें',
+            'terminal.ls.missing': "ls: '{target}' तक नहीं पहुँच सके: ऐसी कोई डायरेक्टरी नहीं",
+            'terminal.cat.operand': 'फ़ाइल का नाम नहीं दिया गया',
+            'terminal.cat.missing': '{name}: ऐसी कोई फ़ाइल नहीं',
+            'terminal.cat.stack': 'स्टैक: {stack}',
+            'terminal.open.missing': "{name}: प्रोजेक्ट नहीं मिला ('ls projects' आज़माएँ)",
+            'terminal.open.opening': '{title} खोला जा रहा है...',
+            'terminal.open.repo': 'रिपॉज़िटरी: {url}',
+            'terminal.goto.missing': '{name}: ऐसा कोई अनुभाग नहीं',
+            'terminal.theme.unknown': "अज्ञात थीम '{name}'",
+            'terminal.theme.set': 'थीम {name} पर सेट की गई',
+            'terminal.analytics.dnt': 'Do-Not-Track चालू है, इसलिए एनालिटिक्स बंद रहेंगे',
+            'terminal.analytics.unknown': "अज्ञात विकल्प '{option}' ('analytics on' या 'analytics off' आज़माएँ)",
+            'terminal.analytics.on': 'एनालिटिक्स चालू',
+            'terminal.analytics.off': 'एनालिटिक्स बंद',
+            'terminal.analytics.dntNote': ' (do-not-track)',
+            'terminal.analytics.sinks': 'सिंक: {sinks}, संग्रहीत इवेंट: {stored}',
+            'terminal.analytics.none': 'कोई नहीं'
+        }
+    }
+};
+
+// Translates [data-i18n] text, [data-i18n-attr="attr:key,..."] attributes and the
+// locale-formatted [data-i18n-period] / [data-i18n-number] values in place.
+class LocaleManager {
+    constructor() {
+        this.stored = Utils.load('locale');
+        this.select = null;
+        this.handleSelect = () => this.set(this.select.value);
+        this.handleRendered = () => this.apply();
+    }
+
+    // Fills {name} placeholders from params; numbers go through formatNumber.
+    static t(key, params) {
+        const catalog = I18N_CATALOGS[LocaleManager.current] || I18N_CATALOGS[CONFIG.i18n.fallback];
+        const fallback = I18N_CATALOGS[CONFIG.i18n.fallback].messages;
+        const message = key in catalog.messages ? catalog.messages[key] : key in fallback ? fallback[key] : key;
+        if (!params || typeof message !== 'string') return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            return typeof params[name] === 'number' ? LocaleManager.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    static intl() {
+        return (I18N_CATALOGS[LocaleManager.current] || I18N_CATALOGS[CONFIG.i18n.fallback]).intl;
+    }
+
+    static formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(LocaleManager.intl(), options).format(value);
+    }
+
+    // "Aug 2025 - Present" -> "अग॰ 2025 – वर्तमान" under hi; unparseable parts pass through.
+    static formatPeriod(text) {
+        return text.split(/\s+-\s+/).map(part => {
+            if (/^present$/i.test(part.trim())) return LocaleManager.t('education.present');
+            const date = Utils.parseMonthYear(part);
+            if (!date) return part;
+            const options = date.month ? { month: 'short', year: 'numeric' } : { year: 'numeric' };
+            return new Intl.DateTimeFormat(LocaleManager.intl(), options).format(new Date(date.year, (date.month || 1) - 1, 1));
+        }).join(' – ');
+    }
+
+    // Stored choice, then the first navigator.languages entry we have a catalog for.
+    static detect(stored) {
+        if (stored && I18N_CATALOGS[stored]) return stored;
+        const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+        for (const language of languages) {
+            const code = String(language).toLowerCase().split('-')[0];
+            if (I18N_CATALOGS[code]) return code;
+        }
+        return CONFIG.i18n.default;
+    }
+
+    init() {
+        this.select = document.getElementById('locale-select');
+        if (this.select) {
+            this.select.innerHTML = Object.keys(I18N_CATALOGS).map(code =>
+                `<option value="${code}" lang="${code}">${Utils.escapeHTML(I18N_CATALOGS[code].label)}</option>`
+            ).join('');
+            this.select.addEventListener('change', this.handleSelect);
+        }
+        Events.on('content-rendered', this.handleRendered);
+        this.apply(LocaleManager.detect(this.stored));
+    }
+
+    destroy() {
+        if (this.select) {
+            this.select.removeEventListener('change', this.handleSelect);
+        }
+        Events.off('content-rendered', this.handleRendered);
+    }
+
+    names() {
+        return Object.keys(I18N_CATALOGS);
+    }
+
+    set(code) {
+        if (!I18N_CATALOGS[code]) {
+            throw new Error(`Unknown locale "${code}"`);
+        }
+        this.stored = code;
+        Utils.save('locale', code);
+        this.apply(code);
+    }
+
+    apply(code = LocaleManager.current) {
+        const changed = code !== LocaleManager.current;
+        LocaleManager.current = code;
+        const root = document.documentElement;
+        root.lang = code;
+        root.dir = I18N_CATALOGS[code].dir;
+        if (this.select) this.select.value = code;
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = LocaleManager.t(el.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                el.setAttribute(attr, LocaleManager.t(key));
+            });
+        });
+        document.querySelectorAll('[data-i18n-period]').forEach(el => {
+            el.textContent = LocaleManager.formatPeriod(el.dataset.i18nPeriod);
+        });
+        document.querySelectorAll('[data-i18n-number]').forEach(el => {
+            el.textContent = LocaleManager.formatNumber(parseFloat(el.dataset.i18nNumber));
+        });
+
+        if (changed) Events.emit('locale-change', { locale: code, dir: root.dir, intl: LocaleManager.intl() });
+    }
+}
+
+LocaleManager.current = null;
+
+// Each transport takes a validated message and resolves once it has been handed off,
+// or rejects with a user-facing reason. Add entries here to plug in another backend.
+const CONTACT_TRANSPORTS = {
+    endpoint: {
+        available: () => Boolean(CONFIG.contact.endpoint) && typeof fetch === 'function',
+        send(message) {
+            return fetch(CONFIG.contact.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(message)
+            }).then(response => {
+                if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+                return { delivered: true };
+            });
+        }
+    },
+    // Hands the message back to the visitor: the form shows copy, webmail and mail app
+    // as the primary actions instead of guessing that a mail client is installed.
+    compose: {
+        available: () => Boolean(CONFIG.contact.recipient),
+        send() {
+            return Promise.resolve({ delivered: false });
+        }
+    },
+    // The browser gives no signal when no mail client is registered, so this resolves
+    // as undelivered and the form offers the copy/webmail fallback alongside.
+    mailto: {
+        available: () => Boolean(CONFIG.contact.recipient),
+        send(message) {
+            window.location.href = ContactForm.mailtoUrl(message);
+            return Promise.resolve({ delivered: false });
+        }
+    },
+    mock: {
+        available: () => true,
+        send(message) {
+            console.info(`[${CONFIG.core.id}] contact (mock)`, message);
+            return new Promise(resolve => setTimeout(() => resolve({ delivered: true }), 400));
+        }
+    }
+};
+
+class ContactForm {
+    constructor() {
+        this.form = null;
+        this.status = null;
+        this.fallback = null;
+        this.shownAt = 0;
+        this.sending = false;
+        this.touched = new Set();
+        this.lastStatus = null;
+        this.handleSubmit = (e) => {
+            e.preventDefault();
+            this.submit();
+        };
+        this.handleInput = (e) => {
+            const name = e.target.name;
+            if (!ContactForm.FIELDS[name]) return;
+            if (this.touched.has(name)) this.showError(name, this.validateField(name));
+            this.saveDraft();
+        };
+        this.handleBlur = (e) => {
+            const name = e.target.name;
+            if (!ContactForm.FIELDS[name] || !e.target.value) return;
+            this.touched.add(name);
+            this.showError(name, this.validateField(name));
+        };
+        this.saveDraft = Utils.debounce(() => Utils.save('contact-draft', this.values()), 400);
+        this.handleLocale = () => this.relabel();
+    }
+
+    static get FIELDS() {
+        const { limits } = CONFIG.contact;
+        return {
+            name: { label: 'contact.field.name', required: true, max: limits.name },
+            email: { label: 'contact.field.email', required: true, max: limits.email, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/, invalid: 'contact.error.email' },
+            subject: { label: 'contact.field.subject', required: false, max: limits.subject },
+            message: { label: 'contact.field.message', required: true, min: limits.minMessage, max: limits.message }
+        };
+    }
+
+    static mailtoUrl(message) {
+        const subject = encodeURIComponent(message.subject || `Portfolio enquiry from ${message.name}`);
+        const body = encodeURIComponent(`${message.message}\n\n-- ${message.name} <${message.email}>`);
+        return `mailto:${CONFIG.contact.recipient}?subject=${subject}&body=${body}`;
+    }
+
+    static webmailUrl(message) {
+        const params = new URLSearchParams({
+            view: 'cm',
+            to: CONFIG.contact.recipient,
+            su: message.subject || `Portfolio enquiry from ${message.name}`,
+            body: `${message.message}\n\n-- ${message.name} <${message.email}>`
+        });
+        return `https://mail.google.com/mail/?${params}`;
+    }
+
+    init() {
+        this.form = document.getElementById('contact-form');
+        if (!this.form) return;
+        this.status = this.form.querySelector('.contact-status');
+        this.fallback = this.form.querySelector('.contact-fallback');
+        this.shownAt = Date.now();
+
+        const draft = Utils.load('contact-draft');
+        if (draft) {
+            Object.keys(ContactForm.FIELDS).forEach(name => {
+                if (typeof draft[name] === 'string') this.form.elements[name].value = draft[name];
+            });
+        }
+
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('input', this.handleInput);
+        this.form.addEventListener('focusout', this.handleBlur);
+        Events.on('locale-change', this.handleLocale);
+    }
+
+    destroy() {
+        if (!this.form) return;
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('input', this.handleInput);
+        this.form.removeEventListener('focusout', this.handleBlur);
+        Events.off('locale-change', this.handleLocale);
+        this.form = null;
+    }
+
+    // ?contact=mock forces the mock transport; otherwise the configured one, falling back to compose.
+    transport() {
+        const requested = new URLSearchParams(window.location.search).get('contact') || CONFIG.contact.transport;
+        const transport = CONTACT_TRANSPORTS[requested];
+        if (transport && transport.available()) return { name: requested, transport };
+        return { name: 'compose', transport: CONTACT_TRANSPORTS.compose };
+    }
+
+    values() {
+        const values = {};
+        Object.keys(ContactForm.FIELDS).forEach(name => {
+            values[name] = this.form.elements[name].value.trim();
+        });
+        return values;
+    }
+
+    validateField(name) {
+        const field = ContactForm.FIELDS[name];
+        const value = this.form.elements[name].value.trim();
+        const label = LocaleManager.t(field.label);
+
+        if (!value) return field.required ? LocaleManager.t('contact.error.required', { field: label }) : '';
+        if (field.min && value.length < field.min) return LocaleManager.t('contact.error.min', { field: label, min: field.min });
+        if (field.max && value.length > field.max) return LocaleManager.t('contact.error.max', { field: label, max: field.max });
+        if (field.pattern && !field.pattern.test(value)) return LocaleManager.t(field.invalid);
+        return '';
+    }
+
+    showError(name, message) {
+        const input = this.form.elements[name];
+        const error = this.form.querySelector(`[data-error-for="${name}"]`);
+        input.setAttribute('aria-invalid', String(Boolean(message)));
+        if (error) error.textContent = message;
+    }
+
+    validate() {
+        let firstInvalid = null;
+        Object.keys(ContactForm.FIELDS).forEach(name => {
+            const message = this.validateField(name);
+            this.touched.add(name);
+            this.showError(name, message);
+            if (message && !firstInvalid) firstInvalid = this.form.elements[name];
+        });
+        if (firstInvalid) firstInvalid.focus();
+        return !firstInvalid;
+    }
+
+    // The key and params are kept so a locale change can re-render the current status.
+    setStatus(state, key, params) {
+        this.lastStatus = { state, key, params };
+        this.status.dataset.state = state;
+        this.status.textContent = LocaleManager.t(key, params);
+    }
+
+    relabel() {
+        if (!this.form) return;
+        this.touched.forEach(name => this.showError(name, this.validateField(name)));
+        if (this.lastStatus) this.setStatus(this.lastStatus.state, this.lastStatus.key, this.lastStatus.params);
+        const copy = this.fallback.querySelector('[data-fallback="copy"]');
+        if (copy.dataset.copied) copy.textContent = LocaleManager.t('contact.copied');
+    }
+
+    sentLog() {
+        const cutoff = Date.now() - CONFIG.contact.rateLimit.window;
+        return Utils.load('contact-sent', [], true).filter(time => time > cutoff);
+    }
+
+    submit() {
+        if (this.sending) return;
+        this.fallback.hidden = true;
+        if (!this.validate()) {
+            this.setStatus('error', 'contact.status.invalid');
+            return;
+        }
+
+        const message = this.values();
+        // Bots fill every field; pretend it worked so they don't retry with a different payload.
+        if (this.form.elements.website.value) {
+            this.complete(message, { delivered: true }, 'honeypot');
+            return;
+        }
+        if (Date.now() - this.shownAt < CONFIG.contact.minFillTime) {
+            this.setStatus('error', 'contact.status.tooQuick');
+            return;
+        }
+        const sent = this.sentLog();
+        if (sent.length >= CONFIG.contact.rateLimit.max) {
+            const minutes = Math.ceil((sent[0] + CONFIG.contact.rateLimit.window - Date.now()) / 60000);
+            this.setStatus('error', 'contact.status.limit', { minutes });
+            return;
+        }
+
+        const { name, transport } = this.transport();
+        this.sending = true;
+        this.form.setAttribute('aria-busy', 'true');
+        this.form.querySelector('[type="submit"]').disabled = true;
+        this.setStatus('pending', 'contact.status.sending');
+        Events.emit('contact-submit', { transport: name });
+
+        transport.send(Object.assign({ sentAt: new Date().toISOString() }, message))
+            .then(result => {
+                Utils.save('contact-sent', sent.concat(Date.now()), true);
+                this.complete(message, result, name);
+            })
+            .catch(err => {
+                this.setStatus('error', 'contact.status.failed', { error: err.message });
+                this.showFallback(message);
+                Events.emit('contact-error', { transport: name, error: err.message });
+            })
+            .finally(() => {
+                this.sending = false;
+                this.form.removeAttribute('aria-busy');
+                this.form.querySelector('[type="submit"]').disabled = false;
+            });
+    }
+
+    complete(message, result, transport) {
+        if (result.delivered) {
+            this.form.reset();
+            this.touched.clear();
+            Utils.save('contact-draft', null);
+            this.setStatus('success', 'contact.status.sent');
+        } else if (transport === 'compose') {
+            this.setStatus('pending', 'contact.status.compose');
+            this.showFallback(message);
+        } else {
+            this.setStatus('pending', 'contact.status.mailto');
+            this.showFallback(message);
+        }
+        this.shownAt = Date.now();
+        if (transport !== 'honeypot') Events.emit('contact-sent', { transport, delivered: result.delivered });
+    }
+
+    showFallback(message) {
+        const text = `To: ${CONFIG.contact.recipient}\nSubject: ${message.subject || `Portfolio enquiry from ${message.name}`}\n\n${message.message}\n\n-- ${message.name} <${message.email}>`;
+        this.fallback.querySelector('[data-fallback="webmail"]').href = ContactForm.webmailUrl(message);
+        this.fallback.querySelector('[data-fallback="mailto"]').href = ContactForm.mailtoUrl(message);
+        const copy = this.fallback.querySelector('[data-fallback="copy"]');
+        copy.onclick = () => {
+            const done = () => {
+                copy.dataset.copied = 'true';
+                copy.textContent = LocaleManager.t('contact.copied');
+            };
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(text).then(done, () => window.prompt(LocaleManager.t('contact.copyPrompt'), text));
+            } else {
+                window.prompt(LocaleManager.t('contact.copyPrompt'), text);
+            }
+        };
+        delete copy.dataset.copied;
+        copy.textContent = LocaleManager.t('contact.copy');
+        this.fallback.hidden = false;
+    }
+}
+
+// Byte-mode QR Code encoder (ISO/IEC 18004), versions 1-40. Tables are indexed by
+// error-correction level, then version; index 0 is unused.
+const QR_TABLES = {
+    eccPerBlock: {
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    },
+    blocks: {
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    },
+    formatBits: { L: 1, M: 0, Q: 3, H: 2 },
+    masks: [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ]
+};
+
+class QRCode {
+    constructor(version, ecl) {
+        this.version = version;
+        this.ecl = ecl;
+        this.size = version * 4 + 17;
+        this.modules = [];
+        this.reserved = [];
+        for (let y = 0; y < this.size; y++) {
+            this.modules.push(new Array(this.size).fill(false));
+            this.reserved.push(new Array(this.size).fill(false));
+        }
+    }
+
+    // Returns a QRCode whose `modules[y][x]` is true for dark modules.
+    static encode(text, ecl = 'M') {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= QRCode.dataCodewords(version, ecl) * 8) break;
+        }
+        if (version > 40) throw new RangeError('Text too long for a QR code');
+
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0b0100, 4);
+        push(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => push(b, 8));
+
+        const capacity = QRCode.dataCodewords(version, ecl) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const qr = new QRCode(version, ecl);
+        qr.drawFunctionPatterns();
+        qr.drawCodewords(qr.interleave(data));
+
+        let best = 0;
+        let lowest = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            qr.applyMask(mask);
+            qr.drawFormatBits(mask);
+            const penalty = qr.penalty();
+            if (penalty < lowest) {
+                best = mask;
+                lowest = penalty;
+            }
+            qr.applyMask(mask);
+        }
+        qr.applyMask(best);
+        qr.drawFormatBits(best);
+        qr.mask = best;
+        return qr;
+    }
+
+    static rawModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const align = Math.floor(version / 7) + 2;
+            result -= (25 * align - 10) * align - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static dataCodewords(version, ecl) {
+        return Math.floor(QRCode.rawModules(version) / 8) - QR_TABLES.eccPerBlock[ecl][version] * QR_TABLES.blocks[ecl][version];
+    }
+
+    // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static divisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QRCode.multiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QRCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static remainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= QRCode.multiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    alignmentPositions() {
+        if (this.version === 1) return [];
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = this.size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        const positions = this.alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; the real bits depend on the mask.
+        this.drawFormatBits(0);
+
+        if (this.version >= 7) {
+            let rem = this.version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (this.version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, dark);
+                this.setFunction(b, a, dark);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const size = this.size;
+        const data = (QR_TABLES.formatBits[this.ecl] << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    // Splits data into blocks, appends Reed-Solomon ECC to each and interleaves them.
+    interleave(data) {
+        const blockCount = QR_TABLES.blocks[this.ecl][this.version];
+        const eccLength = QR_TABLES.eccPerBlock[this.ecl][this.version];
+        const raw = Math.floor(QRCode.rawModules(this.version) / 8);
+        const shortBlocks = blockCount - raw % blockCount;
+        const shortLength = Math.floor(raw / blockCount);
+        const divisor = QRCode.divisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < blockCount; i++) {
+            const chunk = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+            k += chunk.length;
+            const ecc = QRCode.remainder(chunk, divisor);
+            if (i < shortBlocks) chunk.push(0);
+            blocks.push(chunk.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Short blocks carry a placeholder byte at the data/ECC boundary
+                if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // Places bits in the two-column zigzag from the bottom-right corner.
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const test = QR_TABLES.masks[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    penalty() {
+        const size = this.size;
+        const get = (x, y, vertical) => (vertical ? this.modules[x][y] : this.modules[y][x]);
+        const finder = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+        let result = 0;
+        let dark = 0;
+
+        [false, true].forEach(vertical => {
+            for (let y = 0; y < size; y++) {
+                let run = 1;
+                for (let x = 0; x < size; x++) {
+                    if (x > 0 && get(x, y, vertical) === get(x - 1, y, vertical)) {
+                        run++;
+                        if (run === 5) result += 3;
+                        else if (run > 5) result++;
+                    } else {
+                        run = 1;
+                    }
+                    if (x + finder.length <= size) {
+                        const forward = finder.every((v, k) => get(x + k, y, vertical) === (v === 1));
+                        const backward = finder.every((v, k) => get(x + finder.length - 1 - k, y, vertical) === (v === 1));
+                        if (forward) result += 40;
+                        if (backward) result += 40;
+                    }
+                }
+            }
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = this.modules[y][x];
+                    if (c === this.modules[y][x + 1] && c === this.modules[y + 1][x] && c === this.modules[y + 1][x + 1]) result += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    }
+
+    // Always dark-on-light with a four-module quiet zone, whatever the site theme,
+    // since phone scanners rely on that contrast.
+    draw(canvas, scale = 4) {
+        const quiet = 4;
+        const dimension = (this.size + quiet * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, dimension, dimension);
+        ctx.fillStyle = '#000000';
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) ctx.fillRect((x + quiet) * scale, (y + quiet) * scale, scale, scale);
+            }
+        }
+    }
+}
+
+// vCard download and "scan to save" QR code, both built from portfolio.contact,
+// which is also what PortfolioRenderer turns into the .contact-info-cards.
+class ContactCard {
+    constructor(content) {
+        this.content = content;
+        this.panel = null;
+        this.handleRendered = () => this.render();
+        this.handleClick = (e) => {
+            const button = e.target.closest('[data-vcard]');
+            if (button) this.download(button.dataset.vcard);
+        };
+    }
+
+    static escape(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+    }
+
+    // RFC 6350 / 2426 lines are folded at 75 octets; continuation lines start with a space.
+    static fold(line) {
+        const chars = Array.from(line);
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        chars.forEach(ch => {
+            const size = new TextEncoder().encode(ch).length;
+            if (octets + size > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += ch;
+            octets += size;
+        });
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    static build(contact, version = '3.0') {
+        const v4 = version === '4.0';
+        const names = contact.name.trim().split(/\s+/);
+        const family = names.length > 1 ? names.pop() : '';
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${v4 ? '4.0' : '3.0'}`,
+            `FN:${ContactCard.escape(contact.name)}`,
+            `N:${ContactCard.escape(family)};${ContactCard.escape(names.join(' '))};;;`
+        ];
+        if (contact.title) lines.push(`TITLE:${ContactCard.escape(contact.title)}`);
+        if (contact.org) lines.push(`ORG:${ContactCard.escape(contact.org)}`);
+
+        contact.channels.forEach(channel => {
+            const type = channel.kind ? channel.kind.toUpperCase() : '';
+            if (channel.type === 'email') {
+                lines.push(v4
+                    ? `EMAIL${type ? `;TYPE=${type.toLowerCase()}` : ''}:${channel.value}`
+                    : `EMAIL;TYPE=INTERNET${type ? `,${type}` : ''}:${channel.value}`);
+            } else if (channel.type === 'phone') {
+                const number = channel.value.replace(/[^\d+]/g, '');
+                lines.push(v4
+                    ? `TEL;VALUE=uri${type ? `;TYPE=${type.toLowerCase()}` : ''}:tel:${number}`
+                    : `TEL${type ? `;TYPE=${type}` : ''}:${number}`);
+            }
+        });
+
+        if (typeof window !== 'undefined' && /^https?:$/.test(window.location.protocol)) {
+            lines.push(`URL:${window.location.origin}${window.location.pathname}`);
+        }
+        lines.push('END:VCARD');
+        return lines.map(ContactCard.fold).join('\r\n') + '\r\n';
+    }
+
+    contact() {
+        return this.content && this.content.data && this.content.data.contact;
+    }
+
+    init() {
+        this.panel = document.querySelector('.contact-share');
+        if (!this.panel) return;
+        this.panel.addEventListener('click', this.handleClick);
+        Events.on('content-rendered', this.handleRendered);
+        this.render();
+    }
+
+    destroy() {
+        if (!this.panel) return;
+        this.panel.removeEventListener('click', this.handleClick);
+        Events.off('content-rendered', this.handleRendered);
+    }
+
+    render() {
+        const contact = this.contact();
+        this.panel.hidden = !contact;
+        if (!contact) return;
+
+        const canvas = this.panel.querySelector('.contact-qr');
+        let encoded = true;
+        try {
+            QRCode.encode(ContactCard.build(contact, '3.0'), CONFIG.contact.qrLevel).draw(canvas, CONFIG.contact.qrScale);
+            canvas.setAttribute('aria-label', `QR code that adds ${contact.name} to your contacts`);
+        } catch (err) {
+            encoded = false;
+        }
+        // Without a code the scan hint is wrong, so the note points at the download buttons instead.
+        canvas.hidden = !encoded;
+        this.panel.querySelectorAll('.contact-qr-hint').forEach(el => { el.hidden = !encoded; });
+        this.panel.querySelectorAll('.contact-qr-error').forEach(el => { el.hidden = encoded; });
+    }
+
+    download(version) {
+        const contact = this.contact();
+        if (!contact) return;
+
+        Utils.download(`${Utils.slugify(contact.name)}.vcf`, ContactCard.build(contact, version), 'text/vcard;charset=utf-8');
+        Events.emit('vcard-download', { version });
+    }
+}
+
+// Builds the résumé from the same PORTFOLIO data the page renders, so the exports
+// can't drift from the site: a print layout for "Save as PDF", JSON Resume and Markdown.
+class ResumeExporter {
+    constructor(content) {
+        this.content = content;
+        this.root = null;
+        this.toggle = null;
+        this.menu = null;
+        this.sheet = null;
+        this.handleClick = (e) => {
+            if (e.target.closest('.resume-toggle')) {
+                this.setMenu(this.menu.hidden);
+                return;
+            }
+            const item = e.target.closest('[data-resume]');
+            if (item) {
+                this.setMenu(false);
+                this.export(item.dataset.resume);
+            }
+        };
+        this.handleOutside = (e) => {
+            if (this.menu && !this.menu.hidden && !this.root.contains(e.target)) this.setMenu(false);
+        };
+        this.handleKey = (e) => {
+            if (e.key === 'Escape' && this.menu && !this.menu.hidden) {
+                this.setMenu(false);
+                this.toggle.focus();
+            }
+        };
+        this.handleAfterPrint = () => document.body.classList.remove('print-resume');
+    }
+
+    static plain(text) {
+        return String(text).replace(/\*\*(.+?)\*\*/g, '$1');
+    }
+
+    // "Aug 2025 - Present" -> { start: '2025-08', end: null }; "2019 - 2021" -> years only.
+    static period(text) {
+        const toDate = (part) => {
+            const date = Utils.parseMonthYear(part);
+            if (!date) return null;
+            return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year);
+        };
+        const [start, end = ''] = text.split(/\s+-\s+/);
+        return { start: toDate(start), end: toDate(end) };
+    }
+
+    static skillLevel(level) {
+        if (level >= 90) return 'Expert';
+        if (level >= 80) return 'Advanced';
+        if (level >= 60) return 'Intermediate';
+        return 'Beginner';
+    }
+
+    init() {
+        this.root = document.querySelector('.resume-export');
+        if (!this.root) return;
+        this.toggle = this.root.querySelector('.resume-toggle');
+        this.menu = this.root.querySelector('.resume-menu');
+
+        this.root.addEventListener('click', this.handleClick);
+        document.addEventListener('click', this.handleOutside);
+        document.addEventListener('keydown', this.handleKey);
+        window.addEventListener('afterprint', this.handleAfterPrint);
+    }
+
+    destroy() {
+        if (!this.root) return;
+        this.root.removeEventListener('click', this.handleClick);
+        document.removeEventListener('click', this.handleOutside);
+        document.removeEventListener('keydown', this.handleKey);
+        window.removeEventListener('afterprint', this.handleAfterPrint);
+        if (this.sheet) this.sheet.remove();
+    }
+
+    setMenu(open) {
+        this.menu.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+        if (open) this.menu.querySelector('[data-resume]').focus();
+    }
+
+    // Normalises portfolio data into the fields every format needs.
+    model() {
+        const data = (this.content && this.content.data) || {};
+        const contact = data.contact || { name: '', channels: [] };
+        const specs = (data.about && data.about.specs) || [];
+        const spec = label => {
+            const found = specs.find(item => item.label === label);
+            return found ? found.value : '';
+        };
+        const page = /^https?:$/.test(window.location.protocol) ? `${window.location.origin}${window.location.pathname}` : '';
+
+        return {
+            name: contact.name,
+            title: contact.title || '',
+            email: (contact.channels.find(channel => channel.type === 'email') || {}).value || '',
+            emails: contact.channels.filter(channel => channel.type === 'email').map(channel => channel.value),
+            phone: (contact.channels.find(channel => channel.type === 'phone') || {}).value || '',
+            location: spec('LOCATION'),
+            url: page,
+            summary: ((data.about && data.about.bio) || []).map(ResumeExporter.plain),
+            skills: ((data.skills && data.skills.core) || []).map(skill => ({ name: skill.name, level: skill.level })),
+            softSkills: ((data.skills && data.skills.soft) || []).map(skill => skill.name),
+            projects: (data.projects || []).map(project => ({
+                name: project.title,
+                description: ResumeExporter.plain(project.description),
+                stack: project.stack,
+                highlights: (project.details && project.details.highlights) || [],
+                url: project.repo && project.repo !== '#' ? project.repo : '',
+                page: page ? `${page}#/projects/${Utils.slugify(project.title)}` : ''
+            })),
+            education: (data.education || []).map(entry => Object.assign({ dates: ResumeExporter.period(entry.period) }, entry))
+        };
+    }
+
+    toJSONResume(model) {
+        const [city, region] = model.location.split(/,\s*/);
+        const basics = {
+            name: model.name,
+            label: model.title,
+            email: model.email,
+            phone: model.phone,
+            summary: model.summary.join(' '),
+            location: { city: city || '', region: region || '' },
+            profiles: []
+        };
+        if (model.url) basics.url = model.url;
+
+        return {
+            basics,
+            education: model.education.map(entry => {
+                const [studyType, area] = entry.degree.split(/\s+-\s+/);
+                const score = entry.tag && entry.tag.match(/CGPA:\s*([\d.]+)/);
+                const item = { institution: entry.institute, studyType, area: area || '', courses: [], summary: entry.summary };
+                if (entry.dates.start) item.startDate = entry.dates.start;
+                if (entry.dates.end) item.endDate = entry.dates.end;
+                if (score) item.score = score[1];
+                return item;
+            }),
+            skills: model.skills
+                .map(skill => ({ name: skill.name, level: ResumeExporter.skillLevel(skill.level), keywords: [] }))
+                .concat(model.softSkills.length ? [{ name: 'Soft Skills', keywords: model.softSkills }] : []),
+            projects: model.projects.map(project => {
+                const item = { name: project.name, description: project.description, highlights: project.highlights, keywords: project.stack };
+                if (project.url || project.page) item.url = project.url || project.page;
+                return item;
+            }),
+            meta: { canonical: model.url, version: 'v1.0.0', lastModified: new Date().toISOString() }
+        };
+    }
+
+    toMarkdown(model) {
+        const contact = [model.title, model.location, ...model.emails, model.phone, model.url].filter(Boolean).join(' · ');
+        const lines = [`# ${model.name}`, '', contact, '', '## Summary', '', ...model.summary.map(p => `${p}\n`)];
+
+        lines.push('## Skills', '');
+        model.skills.forEach(skill => lines.push(`- **${skill.name}** — ${ResumeExporter.skillLevel(skill.level)} (${skill.level}%)`));
+        if (model.softSkills.length) lines.push(`- **Soft skills** — ${model.softSkills.join(', ')}`);
+
+        lines.push('', '## Projects', '');
+        model.projects.forEach(project => {
+            lines.push(`### ${project.name}`, '', `*${project.stack.join(' · ')}*`, '', project.description, '');
+            project.highlights.forEach(highlight => lines.push(`- ${highlight}`));
+            if (project.highlights.length) lines.push('');
+            if (project.url) lines.push(`Repository: ${project.url}`, '');
+        });
+
+        lines.push('## Education', '');
+        model.education.forEach(entry => {
+            lines.push(`### ${entry.degree}`, '', `${entry.institute} · ${entry.period}${entry.tag ? ` · ${entry.tag}` : ''}`, '', entry.summary, '');
+        });
+
+        return `${lines.join('\n').trim()}\n`;
+    }
+
+    toPrintHTML(model) {
+        const esc = Utils.escapeHTML;
+        const contact = [model.location, ...model.emails, model.phone, model.url].filter(Boolean).map(esc).join(' · ');
+        return `
+            <header>
+                <h1>${esc(model.name)}</h1>
+                <p class="resume-title">${esc(model.title)}</p>
+                <p class="resume-contact">${contact}</p>
+            </header>
+            <section>
+                <h2>Summary</h2>
+                ${model.summary.map(p => `<p>${esc(p)}</p>`).join('')}
+            </section>
+            <section>
+                <h2>Skills</h2>
+                <ul class="resume-skills">${model.skills.map(skill => `<li><strong>${esc(skill.name)}</strong> ${esc(ResumeExporter.skillLevel(skill.level))}</li>`).join('')}</ul>
+                ${model.softSkills.length ? `<p><strong>Soft skills:</strong> ${model.softSkills.map(esc).join(', ')}</p>` : ''}
+            </section>
+            <section>
+                <h2>Projects</h2>
+                ${model.projects.map(project => `
+                    <article>
+                        <h3>${esc(project.name)} <span class="resume-meta">${project.stack.map(esc).join(' · ')}</span></h3>
+                        <p>${esc(project.description)}</p>
+                        ${project.highlights.length ? `<ul>${project.highlights.map(h => `<li>${esc(h)}</li>`).join('')}</ul>` : ''}
+                    </article>`).join('')}
+            </section>
+            <section>
+                <h2>Education</h2>
+                ${model.education.map(entry => `
+                    <article>
+                        <h3>${esc(entry.degree)} <span class="resume-meta">${esc(entry.period)}</span></h3>
+                        <p>${esc(entry.institute)}${entry.tag ? ` · ${esc(entry.tag)}` : ''}</p>
+                    </article>`).join('')}
+            </section>`;
+    }
+
+    print(model) {
+        if (!this.sheet) {
+            this.sheet = document.createElement('article');
+            this.sheet.className = 'resume-print';
+            this.sheet.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.sheet);
+        }
+        this.sheet.innerHTML = this.toPrintHTML(model);
+        document.body.classList.add('print-resume');
+        window.print();
+    }
+
+    export(format) {
+        const model = this.model();
+        const base = `${Utils.slugify(model.name) || 'resume'}-resume`;
+
+        if (format === 'print') {
+            this.print(model);
+        } else if (format === 'json') {
+            Utils.download('resume.json', `${JSON.stringify(this.toJSONResume(model), null, 2)}\n`, 'application/json');
+        } else if (format === 'markdown') {
+            Utils.download(`${base}.md`, this.toMarkdown(model), 'text/markdown;charset=utf-8');
+        } else {
+            return;
+        }
+        Events.emit('resume-export', { format });
+    }
+}
+
+const PORTFOLIO_SCHEMA = {
+    about: {
+        type: 'object',
+        fields: {
+            bio: { type: 'array', minItems: 1, items: { type: 'string' } },
+            specs: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        label: { type: 'string' },
+                        value: { type: 'string' },
+                        accent: { type: 'string', optional: true, enum: ['cyan', 'green', 'pink', 'purple'] }
+                    }
+                }
+            }
+        }
+    },
+    skills: {
+        type: 'object',
+        fields: {
+            core: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        name: { type: 'string' },
+                        icon: { type: 'string' },
+                        level: { type: 'number', min: 0, max: 100 }
+                    }
+                }
+            },
+            soft: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        name: { type: 'string' },
+                        icon: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    projects: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            fields: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                repo: { type: 'string', optional: true },
+                stack: { type: 'array', items: { type: 'string' } },
+                details: {
+                    type: 'object',
+                    optional: true,
+                    fields: {
+                        overview: { type: 'array', items: { type: 'string' } },
+                        highlights: { type: 'array', optional: true, items: { type: 'string' } },
+                        screenshots: {
+                            type: 'array',
+                            optional: true,
+                            items: { type: 'object', fields: { src: { type: 'string' }, caption: { type: 'string' } } }
+                        },
+                        links: {
+                            type: 'array',
+                            optional: true,
+                            items: { type: 'object', fields: { label: { type: 'string' }, url: { type: 'string' } } }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    education: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            fields: {
+                period: { type: 'string' },
+                type: { type: 'string' },
+                level: { type: 'string', enum: ['university', 'school'] },
+                degree: { type: 'string' },
+                institute: { type: 'string' },
+                summary: { type: 'string' },
+                tag: { type: 'string', optional: true }
+            }
+        }
+    },
+    contact: {
+        type: 'object',
+        fields: {
+            name: { type: 'string' },
+            title: { type: 'string', optional: true },
+            org: { type: 'string', optional: true },
+            channels: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        type: { type: 'string', enum: ['email', 'phone'] },
+                        label: { type: 'string' },
+                        value: { type: 'string' },
+                        kind: { type: 'string', optional: true, enum: ['home', 'work', 'cell'] }
+                    }
+                }
+            }
+        }
+    }
+};
+
+class ContentValidator {
+    static validate(value, rule, path) {
+        const errors = [];
+        ContentValidator.check(value, rule, path, errors);
+        return errors;
+    }
+
+    static check(value, rule, path, errors) {
+        if (value === undefined || value === null || value === '') {
+            if (!rule.optional) {
+                errors.push({ path, message: `missing required ${rule.type}` });
+            }
+            return;
+        }
+
+        switch (rule.type) {
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push({ path, message: 'expected an object' });
+                    return;
+                }
+                Object.keys(rule.fields).forEach(key => {
+                    ContentValidator.check(value[key], rule.fields[key], `${path}.${key}`, errors);
+                });
+                break;
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push({ path, message: 'expected an array' });
+                    return;
+                }
+                if (rule.minItems && value.length < rule.minItems) {
+                    errors.push({ path, message: `expected at least ${rule.minItems} item(s)` });
+                }
+                value.forEach((item, i) => {
+                    ContentValidator.check(item, rule.items, `${path}[${i}]`, errors);
+                });
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    errors.push({ path, message: 'expected a number' });
+                } else if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                    errors.push({ path, message: `expected a number between ${rule.min} and ${rule.max}` });
+                }
+                break;
+            default:
+                if (typeof value !== 'string') {
+                    errors.push({ path, message: 'expected a string' });
+                } else if (rule.enum && !rule.enum.includes(value)) {
+                    errors.push({ path, message: `expected one of: ${rule.enum.join(', ')}` });
+                }
+        }
+    }
+}
+
+class PortfolioRenderer {
+    constructor(data) {
+        this.data = data;
+        this.sections = {
+            about: { mount: '#about .about-grid', render: this.renderAbout },
+            skills: { mount: '#skills .skills-container', render: this.renderSkills },
+            projects: { mount: '#projects .projects-grid', render: this.renderProjects },
+            education: { mount: '#education .timeline-container', render: this.renderEducation },
+            contact: { mount: '#contact .contact-info-cards', render: this.renderContact }
+        };
+    }
+
+    init() {
+        this.render();
+    }
+
+    render() {
+        const rendered = [];
+
+        Object.keys(this.sections).forEach(name => {
+            const section = this.sections[name];
+            const mount = document.querySelector(section.mount);
+            if (!mount) return;
+
+            const errors = this.data
+                ? ContentValidator.validate(this.data[name], PORTFOLIO_SCHEMA[name], name)
+                : [{ path: 'PORTFOLIO', message: 'data module not loaded' }];
+
+            if (errors.length > 0) {
+                this.renderErrorPanel(mount, name, errors);
+                return;
+            }
+
+            mount.innerHTML = section.render.call(this, this.data[name]);
+            rendered.push(name);
+        });
+
+        Events.emit('content-rendered', { sections: rendered });
+    }
+
+    renderAbout(about) {
+        const bio = about.bio.map(p => `<p>${Utils.formatInline(p, 'highlight')}</p>`).join('');
+        const specs = about.specs.map(spec => `
+            <li>
+                <span class="spec-label">${Utils.escapeHTML(spec.label)}:</span>
+                <span class="spec-val${spec.accent ? ` accent-${spec.accent}` : ''}">${Utils.escapeHTML(spec.value)}</span>
+            </li>`).join('');
+
+        return `
+            <div class="tech-panel bio-panel" data-aos="zoom-in-up">
+                <div class="panel-header"><i class="fas fa-user"></i> BIOGRAPHY</div>
+                <div class="panel-body">${bio}</div>
+            </div>
+            <div class="tech-panel stats-panel" data-aos="zoom-in-up" data-aos-delay="100">
+                <div class="panel-header"><i class="fas fa-info-circle"></i> DETAILS</div>
+                <div class="panel-body"><ul class="specs-list">${specs}</ul></div>
+            </div>`;
+    }
+
+    renderSkills(skills) {
+        const core = skills.core.map(skill => `
+            <div class="skill-card" data-aos="flip-left">
+                <div class="icon-box"><i class="${Utils.escapeHTML(skill.icon)}"></i></div>
+                <div class="skill-info">
+                    <h4>${Utils.escapeHTML(skill.name)}</h4>
+                    <div class="progress-track"><div class="progress-bar-fill" style="width: ${skill.level}%;"></div></div>
+                </div>
+            </div>`).join('');
+
+        const soft = skills.soft.map(skill => `
+            <span class="soft-tag" data-aos="zoom-in"><i class="${Utils.escapeHTML(skill.icon)}"></i> ${Utils.escapeHTML(skill.name)}</span>`).join('');
+
+        return `
+            <div class="skill-category">
+                <h3 data-aos="fade-right"><i class="fas fa-code"></i> CORE TECHNOLOGIES</h3>
+                <div class="skill-grid" data-aos-stagger="100">${core}</div>
+            </div>
+            <div class="skill-category">
+                <h3 data-aos="fade-right"><i class="fas fa-brain"></i> SOFT SKILLS</h3>
+                <div class="soft-skills-wrapper" data-aos-stagger="100">${soft}</div>
+            </div>`;
+    }
+
+    renderProjects(projects) {
+        return projects.map(project => `
+            <div class="holo-project-card" data-project="${Utils.slugify(project.title)}" data-aos="fade-up">
+                <div class="card-border-gradient"></div>
+                <div class="card-content">
+                    <div class="project-top">
+                        <div class="folder-icon"><i class="far fa-folder-open"></i></div>
+                        <div class="links">
+                            <a href="${Utils.escapeHTML(project.repo || '#')}" aria-label="Github Repo"><i class="fab fa-github"></i></a>
+                        </div>
+                    </div>
+                    <h3 class="project-title"><a href="#/projects/${Utils.slugify(project.title)}" class="project-detail-link">${Utils.escapeHTML(project.title)}</a></h3>
+                    <div class="project-desc"><p>${Utils.formatInline(project.description)}</p></div>
+                    <ul class="tech-stack-list">${project.stack.map(tech => `<li>${Utils.escapeHTML(tech)}</li>`).join('')}</ul>
+                </div>
+            </div>`).join('');
+    }
+
+    renderEducation(education) {
+        const items = education.map(entry => `
+            <div class="timeline-item" data-aos="fade-right">
+                <div class="timeline-marker"></div>
+                <div class="timeline-content">
+                    <div class="time-header">
+                        <span class="date" data-i18n-period="${Utils.escapeHTML(entry.period)}">${Utils.escapeHTML(LocaleManager.formatPeriod(entry.period))}</span>
+                        <span class="type-badge level-${entry.level}">${Utils.escapeHTML(entry.type)}</span>
+                    </div>
+                    <h3>${Utils.escapeHTML(entry.degree)}</h3>
+                    <h4>${Utils.escapeHTML(entry.institute)}</h4>
+                    <p>${Utils.escapeHTML(entry.summary)}</p>
+                    ${entry.tag ? `<div class="tag-row"><span class="tag">${PortfolioRenderer.numbers(entry.tag)}</span></div>` : ''}
+                </div>
+            </div>`).join('');
+
+        return `<div class="timeline-spine"></div>${items}`;
+    }
+
+    renderContact(contact) {
+        return contact.channels.map(channel => {
+            const href = channel.type === 'email'
+                ? `mailto:${channel.value}`
+                : `tel:${channel.value.replace(/[^\d+]/g, '')}`;
+            return `
+            <a href="${Utils.escapeHTML(href)}" class="info-card" data-aos="fade-up" data-aos-delay="100">
+                <div class="icon"><i class="fas ${channel.type === 'email' ? 'fa-envelope' : 'fa-phone-alt'}"></i></div>
+                <div class="details">
+                    <span class="label">${Utils.escapeHTML(channel.label)}</span>
+                    <span class="value">${Utils.escapeHTML(channel.value)}</span>
+                </div>
+            </a>`;
+        }).join('');
+    }
+
+    renderErrorPanel(mount, name, errors) {
+        const list = errors.map(err => `<li><code>${Utils.escapeHTML(err.path)}</code> ${Utils.escapeHTML(err.message)}</li>`).join('');
+
+        mount.innerHTML = `
+            <div class="tech-panel content-error-panel" role="alert">
+                <div class="panel-header"><i class="fas fa-exclamation-triangle"></i> CONTENT ERROR // ${name.toUpperCase()}</div>
+                <div class="panel-body">
+                    <p>The <code>${name}</code> section of portfolio.js does not match the content schema:</p>
+                    <ul class="error-list">${list}</ul>
+                </div>
+            </div>`;
+    }
+
+    // Wraps numbers so LocaleManager can re-format them when the language changes.
+    static numbers(text) {
+        return Utils.escapeHTML(text).replace(/\d+(?:\.\d+)?/g, n =>
+            `<span data-i18n-number="${n}">${LocaleManager.formatNumber(parseFloat(n))}</span>`);
+    }
+}
+
+class RenderScheduler {
+    constructor(app, ids) {
+        this.app = app;
+        this.ids = ids;
+        this.observer = null;
+        this.states = {};
+        this.handleVisibility = () => {
+            if (document.hidden) {
+                this.app.pause();
+            } else {
+                this.app.resume();
+            }
+        };
+        this.handleIntersect = (entries) => entries.forEach(entry => {
+            let state = 'active';
+            if (!entry.isIntersecting) {
+                state = 'paused';
+            } else if (entry.intersectionRatio < CONFIG.perf.throttleRatio) {
+                state = 'throttled';
+            }
+            this.apply(entry.target.id, state);
+        });
+        this.handleReplaced = () => this.observe();
+    }
+
+    init() {
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        Events.on('canvas-replaced', this.handleReplaced);
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(this.handleIntersect, {
+                threshold: [0, CONFIG.perf.throttleRatio, 1]
+            });
+            this.observe();
+        }
+    }
+
+    destroy() {
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        Events.off('canvas-replaced', this.handleReplaced);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+
+    observe() {
+        if (!this.observer) return;
+        this.observer.disconnect();
+        this.ids.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) this.observer.observe(el);
+        });
+    }
+
+    apply(id, state) {
+        if (this.states[id] === state) return;
+        this.states[id] = state;
+        this.app.invoke('setCanvasSchedule', id, state);
+        Events.emit('canvas-schedule', { id, state });
+    }
+}
+
+// Watches how long each frame's update + draw takes on the main thread and steps
+// STATE.quality through CONFIG.perf.levels. Dropping a level is quick; climbing back
+// needs a longer quiet period so the two don't oscillate.
+class QualityGovernor {
+    constructor() {
+        this.level = 0;
+        this.lastChange = 0;
+        this.reset();
+    }
+
+    init() {
+        this.lastChange = performance.now();
+    }
+
+    reset() {
+        this.count = 0;
+        this.workSum = 0;
+        this.frameSum = 0;
+    }
+
+    pause() {
+        this.reset();
+    }
+
+    draw() {
+        if (STATE.time.delta === 0) return;
+
+        // With ?offscreen the canvases cost nothing here, so the worker's numbers count too
+        this.count++;
+        this.workSum += Math.max(STATE.time.work, STATE.time.workerWork);
+        this.frameSum += Math.max(STATE.time.delta, STATE.time.workerDelta);
+        if (this.count < CONFIG.perf.sampleFrames) return;
+
+        const work = this.workSum / this.count;
+        const frame = this.frameSum / this.count;
+        const target = 1000 / CONFIG.core.fps;
+        const since = performance.now() - this.lastChange;
+        this.reset();
+
+        if ((work > CONFIG.perf.workBudget || frame > target * 1.5) && since > CONFIG.perf.downgradeCooldown) {
+            this.setLevel(this.level + 1);
+        } else if (work < CONFIG.perf.workBudget * 0.4 && frame < target * 1.2 && since > CONFIG.perf.upgradeCooldown) {
+            this.setLevel(this.level - 1);
+        }
+    }
+
+    setLevel(level) {
+        level = Math.max(0, Math.min(CONFIG.perf.levels.length - 1, level));
+        if (level === this.level) return;
+
+        this.level = level;
+        this.lastChange = performance.now();
+        STATE.quality = Object.assign({ level }, CONFIG.perf.levels[level]);
+        Events.emit('quality-change', STATE.quality);
+    }
+}
+
+// Routes are hash paths ("#/projects/<slug>") so the site keeps working from a static host.
+// Every in-app navigation is a History API entry, so back/forward replay routes.
+class Router {
+    constructor() {
+        this.routes = [];
+        this.current = null;
+        this.handlePop = () => this.resolve();
+        this.handleClick = (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            const anchor = e.target.closest('a[href^="#"]');
+            if (!anchor) return;
+
+            e.preventDefault();
+            const path = Router.toPath(anchor.getAttribute('href'));
+            if (path !== null) this.navigate(path);
+        };
+    }
+
+    // '#/about' and the legacy '#about' both map to '/about'; a bare '#' is a placeholder link.
+    static toPath(hash) {
+        const value = (hash || '').replace(/^#/, '');
+        if (value === '') return null;
+        return value.startsWith('/') ? value : `/${value}`;
+    }
+
+    add(pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:([a-z]+)/gi, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        this.routes.push({ pattern, regex: new RegExp(`^${source}/?$`), keys, handler });
+        return this;
+    }
+
+    init() {
+        window.addEventListener('popstate', this.handlePop);
+        window.addEventListener('hashchange', this.handlePop);
+        document.addEventListener('click', this.handleClick);
+
+        const path = Router.toPath(window.location.hash) || '/';
+        history.replaceState({ path, index: 0 }, '', window.location.hash ? `#${path}` : window.location.href);
+        this.resolve();
+    }
+
+    destroy() {
+        window.removeEventListener('popstate', this.handlePop);
+        window.removeEventListener('hashchange', this.handlePop);
+        document.removeEventListener('click', this.handleClick);
+    }
+
+    navigate(path, options = {}) {
+        if (path === this.current && !options.replace) {
+            this.resolve(true);
+            return;
+        }
+        const index = (history.state && history.state.index) || 0;
+        if (options.replace) {
+            history.replaceState({ path, index }, '', `#${path}`);
+        } else {
+            history.pushState({ path, index: index + 1 }, '', `#${path}`);
+        }
+        this.resolve();
+    }
+
+    // Records a path the page reached by itself (scrolling) without resolving it or adding history.
+    sync(path) {
+        if (path === this.current) return;
+        const index = (history.state && history.state.index) || 0;
+        const url = path === '/' ? `${window.location.pathname}${window.location.search}` : `#${path}`;
+        history.replaceState({ path, index }, '', url);
+        this.current = path;
+    }
+
+    // Steps back when the previous entry belongs to this page, otherwise replaces with fallback.
+    back(fallback) {
+        if (history.state && history.state.index > 0) {
+            history.back();
+        } else {
+            this.navigate(fallback, { replace: true });
+        }
+    }
+
+    resolve(force = false) {
+        const path = Router.toPath(window.location.hash) || '/';
+        if (path === this.current && !force) return;
+
+        const previous = this.current;
+        this.current = path;
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (!match) continue;
+
+            const params = {};
+            route.keys.forEach((key, i) => {
+                params[key] = decodeURIComponent(match[i + 1]);
+            });
+            route.handler(params, { path, previous });
+            Events.emit('route-change', { path, previous, route: route.pattern, params });
+            return;
+        }
+        Events.emit('route-not-found', { path, previous });
+    }
+}
+
+class ProjectDetailView {
+    constructor(content, router) {
+        this.content = content;
+        this.router = router;
+        this.overlay = null;
+        this.dialog = null;
+        this.lastFocus = null;
+        this.slug = null;
+        this.handleKey = (e) => {
+            if (!this.isOpen) return;
+            if (e.key === 'Escape') {
+                this.requestClose();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        };
+        this.handleClick = (e) => {
+            if (e.target === this.overlay || e.target.closest('.project-detail-close')) {
+                this.requestClose();
+            }
+        };
+        this.handleCardClick = (e) => {
+            const card = e.target.closest('.holo-project-card');
+            if (!card || e.target.closest('a, button')) return;
+            this.router.navigate(`/projects/${card.dataset.project}`);
+        };
+    }
+
+    get isOpen() {
+        return this.slug !== null;
+    }
+
+    init() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'project-detail-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <article class="project-detail" role="dialog" aria-modal="true" aria-labelledby="project-detail-title" tabindex="-1">
+                <div class="panel-header project-detail-bar">
+                    <span><i class="far fa-folder-open"></i> PROJECT_FILE</span>
+                    <button type="button" class="project-detail-close" aria-label="Close project details"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="project-detail-body"></div>
+            </article>`;
+        document.body.appendChild(this.overlay);
+        this.dialog = this.overlay.querySelector('.project-detail');
+
+        this.overlay.addEventListener('click', this.handleClick);
+        document.addEventListener('keydown', this.handleKey);
+        document.addEventListener('click', this.handleCardClick);
+    }
+
+    destroy() {
+        if (!this.overlay) return;
+        document.removeEventListener('keydown', this.handleKey);
+        document.removeEventListener('click', this.handleCardClick);
+        document.body.classList.remove('project-detail-open');
+        this.overlay.remove();
+        this.overlay = null;
+    }
+
+    focusable() {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex="0"]';
+        return Array.from(this.dialog.querySelectorAll(selector));
+    }
+
+    // The dialog itself holds focus when it opens, so Tab from there (or from anywhere
+    // outside) lands on the first control and Shift+Tab on the last.
+    trapFocus(e) {
+        const items = this.focusable();
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (!items.includes(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    projects() {
+        return (this.content && this.content.data && this.content.data.projects) || [];
+    }
+
+    find(slug) {
+        return this.projects().find(project => Utils.slugify(project.title) === slug) || null;
+    }
+
+    open(slug) {
+        const project = this.find(slug);
+        if (!project || !this.overlay) return false;
+
+        if (!this.isOpen) this.lastFocus = document.activeElement;
+        this.slug = slug;
+        this.overlay.querySelector('.project-detail-body').innerHTML = this.renderProject(project);
+        this.overlay.querySelectorAll('.project-shot img').forEach(img => {
+            img.addEventListener('error', () => img.parentElement.classList.add('is-missing'), { once: true });
+        });
+        this.overlay.hidden = false;
+        document.body.classList.add('project-detail-open');
+        this.dialog.scrollTop = 0;
+        this.dialog.focus();
+        Events.emit('project-open', { slug, title: project.title });
+        return true;
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        const slug = this.slug;
+        this.slug = null;
+        this.overlay.hidden = true;
+        document.body.classList.remove('project-detail-open');
+
+        const card = document.querySelector(`[data-project="${slug}"]`);
+        const focusTarget = this.lastFocus && document.contains(this.lastFocus) ? this.lastFocus : card;
+        if (focusTarget) focusTarget.focus({ preventScroll: true });
+        Events.emit('project-close', { slug });
+    }
+
+    requestClose() {
+        this.router.back('/projects');
+    }
+
+    renderProject(project) {
+        const details = project.details || { overview: [project.description] };
+        const projects = this.projects();
+        const index = projects.indexOf(project);
+        const prev = projects[(index - 1 + projects.length) % projects.length];
+        const next = projects[(index + 1) % projects.length];
+
+        const overview = details.overview.map(p => `<p>${Utils.formatInline(p, 'highlight')}</p>`).join('');
+        const highlights = (details.highlights || []).map(item => `<li>${Utils.formatInline(item)}</li>`).join('');
+        const shots = (details.screenshots || []).map(shot => `
+            <figure class="project-shot">
+                <img src="${Utils.escapeHTML(shot.src)}" alt="${Utils.escapeHTML(shot.caption)}" loading="lazy">
+                <figcaption>${Utils.escapeHTML(shot.caption)}</figcaption>
+            </figure>`).join('');
+
+        const links = (details.links || []).slice();
+        if (project.repo && project.repo !== '#') {
+            links.unshift({ label: 'Source code', url: project.repo });
+        }
+        const linkList = links.length
+            ? links.map(link => `<a href="${Utils.escapeHTML(link.url)}" class="btn-tech secondary" target="_blank" rel="noopener"><span class="btn-borders"></span><span class="btn-text">${Utils.escapeHTML(link.label)} <i class="fas fa-external-link-alt"></i></span></a>`).join('')
+            : '<span class="project-detail-note">// repository link coming soon</span>';
+
+        return `
+            <h2 class="project-detail-title" id="project-detail-title">${Utils.escapeHTML(project.title)}</h2>
+            <ul class="tech-stack-list">${project.stack.map(tech => `<li>${Utils.escapeHTML(tech)}</li>`).join('')}</ul>
+            <div class="project-detail-text">${overview}</div>
+            ${highlights ? `<h3 class="project-detail-heading">KEY POINTS</h3><ul class="project-detail-highlights">${highlights}</ul>` : ''}
+            ${shots ? `<h3 class="project-detail-heading">SCREENSHOTS</h3><div class="project-shots">${shots}</div>` : ''}
+            <div class="project-detail-links">${linkList}</div>
+            <nav class="project-detail-nav" aria-label="More projects">
+                <a href="#/projects/${Utils.slugify(prev.title)}"><i class="fas fa-arrow-left"></i> ${Utils.escapeHTML(prev.title)}</a>
+                <a href="#/projects/${Utils.slugify(next.title)}">${Utils.escapeHTML(next.title)} <i class="fas fa-arrow-right"></i></a>
+            </nav>`;
+    }
+}
+
+// Filter bar above the project grid, built from the union of the cards' tech stacks.
+// Selected tags live in the query string (?tag=python&tag=pandas&match=all) so a
+// filtered view can be shared; the hash stays with the router.
+class ProjectFilter {
+    constructor(router) {
+        this.router = router;
+        this.bar = null;
+        this.grid = null;
+        this.tags = new Map();
+        this.selected = new Set();
+        this.mode = 'any';
+        this.handleRendered = () => this.build();
+        this.handleLocale = () => this.build();
+        this.handleReveal = ({ element }) => {
+            if (this.grid && this.grid.contains(element) && !this.matches(element)) this.clear();
+        };
+        this.handleBarClick = (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.tag) {
+                this.toggle(button.dataset.tag);
+            } else if (button.dataset.match) {
+                this.setMode(button.dataset.match);
+            } else if (button.dataset.action === 'clear') {
+                this.clear();
+            }
+        };
+        this.handleSkillClick = (e) => {
+            const card = e.target.closest('.skill-card[data-filter-tag]');
+            if (card) this.show(card.dataset.filterTag);
+        };
+        this.handleSkillKey = (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            const card = e.target.closest('.skill-card[data-filter-tag]');
+            if (!card) return;
+            e.preventDefault();
+            this.show(card.dataset.filterTag);
+        };
+    }
+
+    init() {
+        this.bar = document.querySelector('.project-filter');
+        this.grid = document.querySelector('.projects-grid');
+        if (!this.bar || !this.grid) return;
+
+        const params = new URLSearchParams(window.location.search);
+        this.selected = new Set(params.getAll('tag'));
+        this.mode = params.get('match') === 'all' ? 'all' : 'any';
+
+        this.bar.addEventListener('click', this.handleBarClick);
+        document.addEventListener('click', this.handleSkillClick);
+        document.addEventListener('keydown', this.handleSkillKey);
+        Events.on('content-rendered', this.handleRendered);
+        Events.on('palette-reveal', this.handleReveal);
+        Events.on('locale-change', this.handleLocale);
+        this.build();
+    }
+
+    destroy() {
+        if (!this.bar) return;
+        this.bar.removeEventListener('click', this.handleBarClick);
+        document.removeEventListener('click', this.handleSkillClick);
+        document.removeEventListener('keydown', this.handleSkillKey);
+        Events.off('content-rendered', this.handleRendered);
+        Events.off('palette-reveal', this.handleReveal);
+        Events.off('locale-change', this.handleLocale);
+        this.bar.innerHTML = '';
+    }
+
+    cards() {
+        return Array.from(this.grid.querySelectorAll('.holo-project-card'));
+    }
+
+    static cardTags(card) {
+        return Array.from(card.querySelectorAll('.tech-stack-list li')).map(li => Utils.slugify(li.textContent));
+    }
+
+    build() {
+        this.tags.clear();
+        this.cards().forEach(card => {
+            card.querySelectorAll('.tech-stack-list li').forEach(li => {
+                const label = li.textContent.trim();
+                const slug = Utils.slugify(label);
+                const entry = this.tags.get(slug) || { label, count: 0 };
+                entry.count++;
+                this.tags.set(slug, entry);
+            });
+        });
+        // Tags from a stale link or a removed project would otherwise hide everything
+        this.selected.forEach(slug => {
+            if (!this.tags.has(slug)) this.selected.delete(slug);
+        });
+
+        const sorted = Array.from(this.tags.entries()).sort((a, b) => b[1].count - a[1].count || a[1].label.localeCompare(b[1].label));
+        this.bar.innerHTML = `
+            <div class="filter-tags" role="group" aria-label="${Utils.escapeHTML(LocaleManager.t('filter.technologies'))}">
+                ${sorted.map(([slug, tag]) => `<button type="button" class="filter-tag" data-tag="${slug}" aria-pressed="false">${Utils.escapeHTML(tag.label)} <span class="filter-tag-count">${LocaleManager.formatNumber(tag.count)}</span></button>`).join('')}
+            </div>
+            <div class="filter-controls">
+                <div class="filter-mode" role="group" aria-label="${Utils.escapeHTML(LocaleManager.t('filter.match'))}">
+                    <button type="button" data-match="any" aria-pressed="false">${Utils.escapeHTML(LocaleManager.t('filter.any'))}</button>
+                    <button type="button" data-match="all" aria-pressed="false">${Utils.escapeHTML(LocaleManager.t('filter.all'))}</button>
+                </div>
+                <span class="filter-count" aria-live="polite"></span>
+                <button type="button" class="filter-clear" data-action="clear">${Utils.escapeHTML(LocaleManager.t('filter.clear'))}</button>
+            </div>`;
+
+        this.decorateSkills();
+        this.apply(false);
+    }
+
+    // Skill cards with a matching project tag become shortcuts into the filter.
+    decorateSkills() {
+        document.querySelectorAll('.skill-card').forEach(card => {
+            const name = card.querySelector('.skill-info h4');
+            const slug = name ? Utils.slugify(name.textContent) : '';
+            if (!this.tags.has(slug)) return;
+            card.dataset.filterTag = slug;
+            card.classList.add('is-filterable');
+            card.setAttribute('role', 'button');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('aria-label', LocaleManager.t('filter.showUsing', { name: this.tags.get(slug).label }));
+        });
+    }
+
+    matches(card) {
+        if (this.selected.size === 0) return true;
+        const tags = ProjectFilter.cardTags(card);
+        const selected = Array.from(this.selected);
+        return this.mode === 'all'
+            ? selected.every(tag => tags.includes(tag))
+            : selected.some(tag => tags.includes(tag));
+    }
+
+    toggle(slug) {
+        if (this.selected.has(slug)) {
+            this.selected.delete(slug);
+        } else {
+            this.selected.add(slug);
+        }
+        this.apply();
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        this.apply();
+    }
+
+    clear() {
+        this.selected.clear();
+        this.apply();
+    }
+
+    // Applies a single-tag filter and brings the project grid into view.
+    show(slug) {
+        if (!this.tags.has(slug)) return;
+        this.selected = new Set([slug]);
+        this.apply();
+        this.router.navigate('/projects');
+    }
+
+    apply(animate = true) {
+        const cards = this.cards();
+        let visible = 0;
+        cards.forEach(card => {
+            const match = this.matches(card);
+            if (match) visible++;
+            this.setVisible(card, match, animate);
+        });
+
+        this.bar.querySelectorAll('[data-tag]').forEach(button => {
+            button.setAttribute('aria-pressed', String(this.selected.has(button.dataset.tag)));
+        });
+        this.bar.querySelectorAll('[data-match]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.match === this.mode));
+        });
+        this.bar.querySelector('.filter-clear').disabled = this.selected.size === 0;
+        this.bar.querySelector('.filter-count').textContent = this.selected.size === 0
+            ? LocaleManager.t('filter.count', { total: cards.length })
+            : LocaleManager.t('filter.countOf', { visible, total: cards.length });
+
+        this.writeQuery();
+        Events.emit('project-filter', { tags: Array.from(this.selected), mode: this.mode, visible, total: cards.length });
+    }
+
+    // Cards are animated with the Web Animations API so the fade doesn't fight the
+    // transform transitions ScrollReveal puts on the same elements.
+    setVisible(card, visible, animate) {
+        const hidden = card.hidden || card.classList.contains('is-leaving');
+        if (visible !== hidden) return;
+
+        if (card.leaving) {
+            card.leaving.cancel();
+            card.leaving = null;
+        }
+        const motion = animate && !CONFIG.core.reducedMotion && typeof card.animate === 'function';
+        const frames = [
+            { opacity: 0, transform: 'scale(0.96)' },
+            { opacity: 1, transform: 'scale(1)' }
+        ];
+
+        if (visible) {
+            card.classList.remove('is-leaving');
+            card.hidden = false;
+            if (motion) card.animate(frames, { duration: 250, easing: 'ease-out' });
+            return;
+        }
+
+        if (!motion) {
+            card.hidden = true;
+            return;
+        }
+        card.classList.add('is-leaving');
+        card.leaving = card.animate(frames.slice().reverse(), { duration: 200, easing: 'ease-in', fill: 'forwards' });
+        card.leaving.onfinish = () => {
+            card.leaving.cancel();
+            card.leaving = null;
+            card.classList.remove('is-leaving');
+            card.hidden = true;
+        };
+    }
+
+    writeQuery() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('tag');
+        params.delete('match');
+        this.selected.forEach(tag => params.append('tag', tag));
+        if (this.selected.size > 1 && this.mode === 'all') params.set('match', 'all');
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+}
+
+// Skip links, roving focus in the nav, a polite live region for section changes and a
+// static screen-reader summary of the animated hero (typewriters and network canvas).
+class AccessibilityController {
+    constructor() {
+        this.nav = null;
+        this.links = [];
+        this.announcer = null;
+        this.announceTimer = null;
+        this.lastSection = null;
+        this.handleSkip = (e) => {
+            const skip = e.target.closest('.skip-link');
+            if (!skip) return;
+            const target = document.getElementById(skip.getAttribute('href').slice(1));
+            if (!target) return;
+            e.preventDefault();
+            // The sidebar is fixed, so jumping to the nav only moves focus to its current link
+            const link = target.querySelector('.nav-link[tabindex="0"]');
+            if (link) {
+                link.focus();
+            } else {
+                AccessibilityController.focus(target);
+            }
+        };
+        this.handleNavKey = (e) => {
+            const index = this.links.indexOf(e.target);
+            if (index === -1) return;
+            let next = null;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowRight') next = (index + 1) % this.links.length;
+            else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') next = (index - 1 + this.links.length) % this.links.length;
+            else if (e.key === 'Home') next = 0;
+            else if (e.key === 'End') next = this.links.length - 1;
+            if (next === null) return;
+            e.preventDefault();
+            this.rove(this.links[next]);
+            this.links[next].focus();
+        };
+        this.handleNavFocus = (e) => {
+            if (this.links.includes(e.target)) this.rove(e.target);
+        };
+        this.handleSection = ({ id }) => {
+            if (!this.nav.contains(document.activeElement)) {
+                const link = this.links.find(item => item.getAttribute('href') === `#/${id}`);
+                if (link) this.rove(link);
+            }
+            this.announceSection(id);
+        };
+        this.handleLocale = () => this.renderHeroSummary();
+    }
+
+    // Sections and <main> are focus targets for skip links and nav, without joining the tab order.
+    static focus(target) {
+        if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+        Utils.scrollToElement(target);
+        target.focus({ preventScroll: true });
+    }
+
+    init() {
+        this.nav = document.querySelector('.nav-list');
+        this.announcer = document.getElementById('a11y-announcer');
+        this.links = this.nav ? Array.from(this.nav.querySelectorAll('.nav-link')) : [];
+
+        document.addEventListener('click', this.handleSkip);
+        if (this.nav) {
+            this.nav.addEventListener('keydown', this.handleNavKey);
+            this.nav.addEventListener('focusin', this.handleNavFocus);
+            this.rove(this.nav.querySelector('.nav-link.active') || this.links[0]);
+        }
+        Events.on('section-change', this.handleSection);
+        Events.on('locale-change', this.handleLocale);
+        this.renderHeroSummary();
+    }
+
+    destroy() {
+        clearTimeout(this.announceTimer);
+        document.removeEventListener('click', this.handleSkip);
+        if (this.nav) {
+            this.nav.removeEventListener('keydown', this.handleNavKey);
+            this.nav.removeEventListener('focusin', this.handleNavFocus);
+        }
+        Events.off('section-change', this.handleSection);
+        Events.off('locale-change', this.handleLocale);
+    }
+
+    rove(active) {
+        this.links.forEach(link => {
+            link.setAttribute('tabindex', link === active ? '0' : '-1');
+        });
+    }
+
+    announce(message) {
+        if (!this.announcer) return;
+        // Clearing first makes repeated messages announce again
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 50);
+    }
+
+    // Scrolling past several sections quickly should only announce where the reader stops.
+    announceSection(id) {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            if (id === this.lastSection) return;
+            this.lastSection = id;
+            const label = this.nav && this.nav.querySelector(`.nav-link[href="#/${id}"] .nav-text`);
+            if (label) this.announce(LocaleManager.t('a11y.section').replace('{name}', label.textContent.trim()));
+        }, CONFIG.ui.announceDelay);
+    }
+
+    renderHeroSummary() {
+        const roles = document.getElementById('sidebar-role-summary');
+        if (roles) roles.textContent = LocaleManager.t('typewriter.role').join(', ');
+
+        const hero = document.getElementById('hero-summary');
+        if (!hero) return;
+        const network = LocaleManager.t('a11y.heroNetwork')
+            .replace('{inputs}', CONFIG.ann.inputs.length)
+            .replace('{outputs}', CONFIG.ann.outputCount);
+        hero.textContent = `${LocaleManager.t('typewriter.hero').join(', ')}. ${network}`;
+    }
+}
+
+// Ctrl/Cmd+K or "/" search over the rendered portfolio. The index is scraped from the DOM
+// so every result has an element to scroll to, and is rebuilt on content-rendered.
+class CommandPalette {
+    constructor() {
+        this.entries = [];
+        this.results = [];
+        this.selected = 0;
+        this.isOpen = false;
+        this.overlay = null;
+        this.lastFocus = null;
+        this.handleRendered = () => this.buildIndex();
+        this.handleLocale = () => this.relabel();
+        this.handleGlobalKey = (e) => {
+            const tag = e.target.tagName;
+            const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable;
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.toggle();
+            } else if (!isTyping && e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                e.preventDefault();
+                this.open();
+            }
+        };
+        this.handleTrigger = (e) => {
+            if (e.target.closest('[data-palette-trigger]')) this.open();
+        };
+    }
+
+    // Case-insensitive match of query against text. A contiguous hit wins outright; otherwise
+    // every query character must appear in order, with bonuses for runs and word starts.
+    static match(query, text) {
+        const q = query.toLowerCase().trim();
+        const t = text.toLowerCase();
+        if (!q) return null;
+
+        const isWordStart = i => i === 0 || /[\s\-_/.·(]/.test(t[i - 1]);
+        const direct = t.indexOf(q);
+        if (direct !== -1) {
+            const indices = [];
+            for (let i = 0; i < q.length; i++) indices.push(direct + i);
+            return { score: 100 + q.length * 6 + (isWordStart(direct) ? 20 : 0) - direct * 0.1, indices };
+        }
+
+        const chars = q.replace(/\s+/g, '');
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (let i = 0; i < chars.length; i++) {
+            const idx = t.indexOf(chars[i], from);
+            if (idx === -1) return null;
+            score += 1;
+            if (indices.length && idx === indices[indices.length - 1] + 1) score += 5;
+            if (isWordStart(idx)) score += 8;
+            indices.push(idx);
+            from = idx + 1;
+        }
+        // Letters scattered across a long description are noise, not a match
+        const span = indices[indices.length - 1] - indices[0] + 1;
+        if (span > chars.length * 4) return null;
+        return { score: score - span * 0.2, indices };
+    }
+
+    static mark(text, indices) {
+        const hits = new Set(indices);
+        let html = '';
+        let run = '';
+        for (let i = 0; i <= text.length; i++) {
+            if (i < text.length && hits.has(i)) {
+                run += text[i];
+                continue;
+            }
+            if (run) {
+                html += `<mark>${Utils.escapeHTML(run)}</mark>`;
+                run = '';
+            }
+            if (i < text.length) html += Utils.escapeHTML(text[i]);
+        }
+        return html;
+    }
+
+    init() {
+        this.mount();
+        this.buildIndex();
+        Events.on('content-rendered', this.handleRendered);
+        Events.on('locale-change', this.handleLocale);
+        document.addEventListener('keydown', this.handleGlobalKey);
+        document.addEventListener('click', this.handleTrigger);
+    }
+
+    destroy() {
+        Events.off('content-rendered', this.handleRendered);
+        Events.off('locale-change', this.handleLocale);
+        document.removeEventListener('keydown', this.handleGlobalKey);
+        document.removeEventListener('click', this.handleTrigger);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    mount() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'palette-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <div class="palette" role="dialog" aria-modal="true">
+                <div class="palette-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="text" class="palette-input" spellcheck="false" autocomplete="off"
+                        role="combobox" aria-expanded="true" aria-controls="palette-results" aria-autocomplete="list">
+                    <kbd>ESC</kbd>
+                </div>
+                <ul class="palette-results" id="palette-results" role="listbox"></ul>
+            </div>`;
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.palette-input');
+        this.list = this.overlay.querySelector('.palette-results');
+        this.relabel(false);
+
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleInputKey(e));
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.select(parseInt(option.dataset.index, 10));
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(parseInt(option.dataset.index, 10));
+        });
+    }
+
+    // Index details are translated too, so they are rebuilt along with the chrome.
+    relabel(rebuild = true) {
+        this.overlay.querySelector('.palette').setAttribute('aria-label', LocaleManager.t('palette.label'));
+        this.input.placeholder = LocaleManager.t('palette.placeholder');
+        if (rebuild) this.buildIndex();
+    }
+
+    buildIndex() {
+        const text = (root, selector) => {
+            const el = root.querySelector(selector);
+            return el ? el.textContent.trim() : '';
+        };
+        this.entries = [];
+
+        document.querySelectorAll('.holo-project-card').forEach(card => {
+            const stack = Array.from(card.querySelectorAll('.tech-stack-list li')).map(li => li.textContent.trim());
+            this.entries.push({
+                kind: 'project',
+                icon: 'far fa-folder-open',
+                label: text(card, '.project-title'),
+                fields: [...stack, text(card, '.project-desc')],
+                detail: stack.join(' · '),
+                el: card
+            });
+        });
+        document.querySelectorAll('.skill-card').forEach(card => {
+            this.entries.push({
+                kind: 'skill',
+                icon: 'fas fa-code',
+                label: text(card, '.skill-info h4'),
+                fields: [],
+                detail: LocaleManager.t('palette.coreTech'),
+                el: card
+            });
+        });
+        document.querySelectorAll('.soft-tag').forEach(tag => {
+            this.entries.push({
+                kind: 'soft-skill',
+                icon: 'fas fa-brain',
+                label: tag.textContent.trim(),
+                fields: [],
+                detail: LocaleManager.t('palette.softSkill'),
+                el: tag
+            });
+        });
+        document.querySelectorAll('.timeline-item').forEach(item => {
+            this.entries.push({
+                kind: 'education',
+                icon: 'fas fa-graduation-cap',
+                label: text(item, '.timeline-content h3'),
+                fields: [text(item, '.timeline-content h4'), text(item, '.date'), text(item, '.timeline-content p'), text(item, '.tag')],
+                detail: `${text(item, '.timeline-content h4')} · ${text(item, '.date')}`,
+                el: item
+            });
+        });
+
+        if (this.isOpen) this.search(this.input.value);
+    }
+
+    // Best field wins; hits on the title rank above hits on tags, which rank above body text.
+    search(query) {
+        if (!query.trim()) {
+            this.results = this.entries.slice(0, CONFIG.ui.paletteResults).map(entry => ({ entry, label: null, field: null }));
+        } else {
+            this.results = this.entries.map(entry => {
+                const title = CommandPalette.match(query, entry.label);
+                let best = title ? { score: title.score * 1.2, label: title.indices, field: null } : null;
+
+                entry.fields.forEach((field, i) => {
+                    const hit = field && CommandPalette.match(query, field);
+                    const weight = entry.kind === 'project' && i === entry.fields.length - 1 ? 0.6 : 0.9;
+                    if (hit && (!best || hit.score * weight > best.score)) {
+                        best = { score: hit.score * weight, label: null, field: { text: field, indices: hit.indices } };
+                    }
+                });
+                return best ? Object.assign(best, { entry }) : null;
+            }).filter(Boolean)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, CONFIG.ui.paletteResults);
+        }
+
+        this.selected = 0;
+        this.render(query);
+    }
+
+    render(query) {
+        if (this.results.length === 0) {
+            this.list.innerHTML = `<li class="palette-empty">${Utils.escapeHTML(LocaleManager.t('palette.empty', { query: query.trim() }))}</li>`;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((result, i) => {
+            const { entry } = result;
+            const label = result.label ? CommandPalette.mark(entry.label, result.label) : Utils.escapeHTML(entry.label);
+            const detail = result.field ? this.snippet(result.field) : Utils.escapeHTML(entry.detail);
+            return `
+                <li role="option" id="palette-option-${i}" data-index="${i}" aria-selected="${i === this.selected}">
+                    <i class="${entry.icon}" aria-hidden="true"></i>
+                    <span class="palette-text"><span class="palette-label">${label}</span><span class="palette-detail">${detail}</span></span>
+                    <span class="palette-kind">${Utils.escapeHTML(LocaleManager.t(`palette.kind.${entry.kind}`))}</span>
+                </li>`;
+        }).join('');
+        this.input.setAttribute('aria-activedescendant', `palette-option-${this.selected}`);
+    }
+
+    // Long descriptions are cut down to a window around the first hit.
+    snippet(field) {
+        const radius = 40;
+        const first = field.indices[0];
+        const start = Math.max(0, first - radius);
+        const end = Math.min(field.text.length, field.indices[field.indices.length - 1] + radius);
+        const indices = field.indices.filter(i => i < end).map(i => i - start);
+        const body = CommandPalette.mark(field.text.slice(start, end), indices);
+        return `${start > 0 ? '…' : ''}${body}${end < field.text.length ? '…' : ''}`;
+    }
+
+    select(index) {
+        if (index === this.selected || !this.results[index]) return;
+        const options = this.list.querySelectorAll('[role="option"]');
+        options[this.selected].setAttribute('aria-selected', 'false');
+        options[index].setAttribute('aria-selected', 'true');
+        options[index].scrollIntoView({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', options[index].id);
+        this.selected = index;
+    }
+
+    handleInputKey(e) {
+        const count = this.results.length;
+        if (e.key === 'ArrowDown' && count) {
+            e.preventDefault();
+            this.select((this.selected + 1) % count);
+        } else if (e.key === 'ArrowUp' && count) {
+            e.preventDefault();
+            this.select((this.selected - 1 + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.choose(this.selected);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+        this.close(false);
+        // Lets ProjectFilter bring back a card it has filtered out before we scroll to it
+        Events.emit('palette-reveal', { element: result.entry.el });
+        Utils.spotlight(result.entry.el);
+        Events.emit('palette-select', { kind: result.entry.kind, label: result.entry.label, query: this.input.value });
+    }
+
+    open() {
+        if (this.isOpen || !this.overlay) return;
+        this.isOpen = true;
+        this.lastFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.value = '';
+        this.search('');
+        this.input.focus();
+        Events.emit('palette-open');
+    }
+
+    close(restoreFocus = true) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.overlay.hidden = true;
+        if (restoreFocus && this.lastFocus && typeof this.lastFocus.focus === 'function') {
+            this.lastFocus.focus();
+        }
+        Events.emit('palette-close');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+}
+
+// Each sink gets whole batches. The beacon body is a plain string so sendBeacon stays a
+// CORS-simple request; it falls back to a keepalive fetch when the beacon is refused.
+const ANALYTICS_SINKS = {
+    console: {
+        available: () => typeof console !== 'undefined',
+        send(batch) {
+            console.info(`[${CONFIG.core.id}] analytics`, batch);
+        }
+    },
+    storage: {
+        available: () => typeof localStorage !== 'undefined',
+        send(batch) {
+            Utils.save('analytics', Utils.load('analytics', []).concat(batch).slice(-CONFIG.analytics.storageLimit));
+        }
+    },
+    beacon: {
+        available: () => Boolean(CONFIG.analytics.endpoint) && (typeof navigator.sendBeacon === 'function' || typeof fetch === 'function'),
+        send(batch) {
+            const body = JSON.stringify({ events: batch });
+            if (typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(CONFIG.analytics.endpoint, body)) return;
+            if (typeof fetch === 'function') {
+                fetch(CONFIG.analytics.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+            }
+        }
+    }
+};
+
+// First-party engagement analytics built from the Events bus (section dwell, project opens,
+// typewriter phrases) and delegated clicks (project cards, repo links, outbound and contact
+// links). Nothing is recorded under Do-Not-Track or Global Privacy Control, or after the
+// visitor opts out; opting out also deletes what the storage sink kept. Events carry a
+// per-tab session id and nothing else that identifies the visitor.
+class AnalyticsTracker {
+    constructor(scrollSpy = null) {
+        this.scrollSpy = scrollSpy;
+        this.queue = [];
+        this.sinks = [];
+        this.session = null;
+        this.button = null;
+        this.timer = null;
+        this.dwell = new Map();
+        this.seen = new Set();
+        this.optOut = Utils.load('analytics-optout', false);
+
+        this.handlers = {
+            'section-enter': ({ id }) => {
+                if (this.enabled) this.dwell.set(id, document.hidden ? null : Date.now());
+            },
+            'section-leave': ({ id }) => {
+                this.closeDwell(id);
+                this.dwell.delete(id);
+            },
+            'project-open': ({ slug }) => this.track('project-open', { project: slug }),
+            // Engines pause off-screen, so a phrase event means it was on screen
+            'typewriter-phrase': ({ id, index }) => {
+                const key = `${id}:${index}`;
+                if (this.seen.has(key)) return;
+                this.seen.add(key);
+                this.track('typewriter-view', { element: id, phrase: index });
+            }
+        };
+        // Capture phase, so handlers that stop propagation (menu, router) don't hide clicks
+        this.handleClick = (e) => this.trackClick(e);
+        this.handleVisibility = () => {
+            if (document.hidden) {
+                Array.from(this.dwell.keys()).forEach(id => this.closeDwell(id));
+                this.flush();
+            } else {
+                this.dwell.forEach((since, id) => this.dwell.set(id, Date.now()));
+            }
+        };
+        this.handlePageHide = () => {
+            Array.from(this.dwell.keys()).forEach(id => this.closeDwell(id));
+            this.flush();
+        };
+        this.handleToggle = () => this.setOptOut(!this.optOut);
+        this.handleLocale = () => this.render();
+    }
+
+    static doNotTrack() {
+        const signal = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return signal === '1' || signal === 'yes' || navigator.globalPrivacyControl === true;
+    }
+
+    get enabled() {
+        return CONFIG.analytics.enabled && !this.optOut && !AnalyticsTracker.doNotTrack();
+    }
+
+    init() {
+        this.session = Utils.load('analytics-session', null, true);
+        if (!this.session) {
+            this.session = Math.random().toString(36).slice(2, 10);
+            Utils.save('analytics-session', this.session, true);
+        }
+        this.sinks = this.resolveSinks();
+
+        Object.keys(this.handlers).forEach(event => Events.on(event, this.handlers[event]));
+        Events.on('locale-change', this.handleLocale);
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        window.addEventListener('pagehide', this.handlePageHide);
+        this.timer = setInterval(() => this.flush(), CONFIG.analytics.flushInterval);
+
+        this.button = document.getElementById('analytics-toggle');
+        if (this.button) this.button.addEventListener('click', this.handleToggle);
+        this.render();
+    }
+
+    destroy() {
+        this.handlePageHide();
+        Object.keys(this.handlers).forEach(event => Events.off(event, this.handlers[event]));
+        Events.off('locale-change', this.handleLocale);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.button) this.button.removeEventListener('click', this.handleToggle);
+    }
+
+    resolveSinks() {
+        const requested = new URLSearchParams(window.location.search).get('analytics');
+        const names = requested ? requested.split(',') : CONFIG.analytics.sinks;
+        return names
+            .map(name => ({ name: name.trim(), sink: ANALYTICS_SINKS[name.trim()] }))
+            .filter(entry => entry.sink && entry.sink.available());
     }
 
-    handleScroll() {
-        let currentSectionId = '';
-        const scrollPosition = window.scrollY + (window.innerHeight / 3);
+    track(type, data = {}) {
+        if (!this.enabled) return;
+        this.queue.push(Object.assign({ type, at: new Date().toISOString(), session: this.session }, data));
+        if (this.queue.length >= CONFIG.analytics.batchSize) this.flush();
+    }
 
-        this.sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            const sectionBottom = sectionTop + sectionHeight;
+    // Records time spent so far in a section; the entry stays open (null) until it is visible again.
+    closeDwell(id) {
+        const since = this.dwell.get(id);
+        if (since === undefined || since === null) return;
+        this.dwell.set(id, null);
+        const ms = Date.now() - since;
+        if (ms >= CONFIG.analytics.minDwell) this.track('section-dwell', { section: id, ms });
+    }
 
-            if (scrollPosition >= sectionTop && scrollPosition < sectionBottom) {
-                currentSectionId = section.getAttribute('id');
+    trackClick(e) {
+        if (!this.enabled) return;
+        const link = e.target.closest('a[href]');
+        const card = e.target.closest('.holo-project-card');
+        if (card) {
+            if (link && link.closest('.links')) {
+                this.track('repo-click', { project: card.dataset.project, href: link.href });
+            } else {
+                this.track('project-click', { project: card.dataset.project });
             }
-        });
+            return;
+        }
+        if (!link) return;
 
-        if (currentSectionId) {
-            this.updateNav(currentSectionId);
+        const url = new URL(link.href, window.location.href);
+        const section = link.closest('section, aside');
+        const source = section ? section.id : null;
+        if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+            this.track('outbound-click', { kind: url.protocol === 'mailto:' ? 'email' : 'phone', source });
+        } else if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+            this.track('outbound-click', { kind: 'link', href: `${url.origin}${url.pathname}`, source });
         }
     }
 
-    updateNav(id) {
-        this.navLinks.forEach(link => {
-            link.classList.remove('active');
-            const href = link.getAttribute('href');
-            if (href === `#${id}`) {
-                link.classList.add('active');
+    flush() {
+        if (this.queue.length === 0) return;
+        const batch = this.queue;
+        this.queue = [];
+        this.sinks.forEach(({ name, sink }) => {
+            try {
+                sink.send(batch);
+            } catch (err) {
+                console.warn(`[${CONFIG.core.id}] analytics sink "${name}" failed`, err);
             }
         });
+        Events.emit('analytics-flush', { count: batch.length, sinks: this.sinks.map(entry => entry.name) });
     }
-}
 
-class ClockController {
-    constructor() {
-        this.el = document.getElementById('sys-clock');
-        if (this.el) {
-            this.start();
+    setOptOut(optOut) {
+        this.optOut = optOut;
+        Utils.save('analytics-optout', optOut);
+        if (optOut) {
+            this.queue = [];
+            this.dwell.clear();
+            Utils.save('analytics', []);
+        } else if (this.enabled && this.scrollSpy) {
+            // No section-enter fires for sections already on screen, so start their dwell now
+            this.scrollSpy.visible.forEach(section => {
+                if (!this.dwell.has(section.id)) this.dwell.set(section.id, document.hidden ? null : Date.now());
+            });
         }
+        this.render();
+        Events.emit('analytics-change', { enabled: this.enabled });
     }
 
-    start() {
-        const update = () => {
-            const now = new Date();
-            this.el.innerText = now.toLocaleTimeString('en-US', {
-                hour12: false,
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit'
-            });
-        };
-        update();
-        setInterval(update, 1000);
+    render() {
+        if (!this.button) return;
+        const dnt = AnalyticsTracker.doNotTrack();
+        this.button.disabled = dnt || !CONFIG.analytics.enabled;
+        this.button.setAttribute('aria-pressed', String(this.enabled));
+        const state = this.button.querySelector('.analytics-toggle-state');
+        state.dataset.i18n = dnt ? 'analytics.dnt' : (this.enabled ? 'analytics.on' : 'analytics.off');
+        state.textContent = LocaleManager.t(state.dataset.i18n);
     }
 }
 
-class MobileMenuController {
+// Registers sw.js once the page has loaded so precaching never competes with first paint.
+// Service workers need a secure context, so file:// previews simply run without one.
+class OfflineController {
     constructor() {
-        this.toggle = document.getElementById('mobile-menu-toggle');
-        this.sidebar = document.getElementById('main-sidebar');
-        this.links = document.querySelectorAll('.nav-link');
-        this.isOpen = false;
+        this.registration = null;
+        this.handleLoad = () => this.register();
+    }
 
-        if (this.toggle && this.sidebar) {
-            this.init();
-        }
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
     }
 
     init() {
-        this.toggle.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.toggleMenu();
-        });
+        if (!OfflineController.isSupported()) return;
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', this.handleLoad, { once: true });
+        }
+    }
 
-        document.addEventListener('click', (e) => {
-            if (this.isOpen && 
-                !this.sidebar.contains(e.target) && 
-                !this.toggle.contains(e.target)) {
-                this.closeMenu();
-            }
-        });
+    destroy() {
+        window.removeEventListener('load', this.handleLoad);
+    }
 
-        this.links.forEach(link => {
-            link.addEventListener('click', () => {
-                this.closeMenu();
+    register() {
+        navigator.serviceWorker.register(CONFIG.pwa.worker)
+            .then(registration => {
+                this.registration = registration;
+                Events.emit('offline-ready', { scope: registration.scope });
+            })
+            .catch(err => console.warn(`[${CONFIG.core.id}] Service worker registration failed`, err));
+    }
+}
+
+class Application {
+    constructor(clock) {
+        this.timestep = new FixedTimestep(CONFIG.core.fps, clock);
+        this.components = new Map();
+        this.booted = false;
+        this.running = false;
+        this.frameId = null;
+        this.typewriters = [];
+        this.handleLocale = () => this.initTypewriters();
+        this.handleMotion = () => this.initTypewriters();
+
+        this.locale = this.register('locale', new LocaleManager());
+        this.motion = this.register('motion', new MotionController());
+        this.theme = this.register('theme', new ThemeManager());
+        this.content = this.register('content', new PortfolioRenderer(typeof PORTFOLIO !== 'undefined' ? PORTFOLIO : null));
+        this.reveal = this.register('reveal', new ScrollReveal());
+        this.input = this.register('input', new InputHandler());
+
+        if (CONFIG.core.offscreen && RenderWorkerBridge.isSupported()) {
+            this.renderer = this.register('renderer', new RenderWorkerBridge(
+                ['hero-network-canvas', 'neural-canvas'],
+                () => this.registerCanvasSystems()
+            ));
+        } else {
+            this.registerCanvasSystems();
+        }
+
+        this.scheduler = this.register('scheduler', new RenderScheduler(this, ['hero-network-canvas', 'neural-canvas', 'playground-canvas']));
+        this.governor = this.register('governor', new QualityGovernor());
+        this.networkInput = this.register('networkInput', new NetworkInputController());
+        this.playground = this.register('playground', new PlaygroundController());
+        const router = new Router();
+        this.scrollSpy = this.register('scrollSpy', new ScrollSpy(router));
+        this.clock = this.register('clock', new ClockController());
+        this.mobileMenu = this.register('mobileMenu', new MobileMenuController());
+        this.a11y = this.register('a11y', new AccessibilityController());
+
+        this.offline = this.register('offline', new OfflineController());
+        this.contact = this.register('contact', new ContactForm());
+        this.contactCard = this.register('contactCard', new ContactCard(this.content));
+        this.resumeExporter = this.register('resume', new ResumeExporter(this.content));
+        this.palette = this.register('palette', new CommandPalette());
+        this.analytics = this.register('analytics', new AnalyticsTracker(this.scrollSpy));
+
+        this.projectDetail = this.register('projectDetail', new ProjectDetailView(this.content, router));
+        this.projectFilter = this.register('projectFilter', new ProjectFilter(router));
+        this.router = this.register('router', router);
+        this.registerRoutes();
+    }
+
+    // Section routes only scroll when they are a fresh navigation; leaving a project
+    // overlay (close button or back) should leave the page where it was.
+    registerRoutes() {
+        this.router
+            .add('/', () => this.projectDetail.close())
+            .add('/projects/:slug', ({ slug }) => {
+                if (!this.projectDetail.open(slug)) {
+                    this.router.navigate('/projects', { replace: true });
+                }
+            })
+            .add('/:section', ({ section }) => {
+                const wasOpen = this.projectDetail.isOpen;
+                this.projectDetail.close();
+                const target = document.getElementById(section);
+                if (wasOpen || !target || target.tagName !== 'SECTION') return;
+                AccessibilityController.focus(target);
             });
-        });
     }
 
-    toggleMenu() {
-        this.isOpen = !this.isOpen;
-        this.updateState();
+    registerCanvasSystems() {
+        this.ann = this.register('ann', new NeuralNetworkSystem());
+        this.bg = this.register('bg', new BackgroundSystem());
     }
 
-    closeMenu() {
-        this.isOpen = false;
-        this.updateState();
+    register(name, component) {
+        if (this.components.has(name)) {
+            throw new Error(`Component "${name}" is already registered`);
+        }
+        this.components.set(name, component);
+        if (this.booted && typeof component.init === 'function') {
+            component.init();
+        }
+        return component;
     }
 
-    updateState() {
-        if (this.isOpen) {
-            this.sidebar.classList.add('mobile-active');
-            this.toggle.classList.add('active');
-        } else {
-            this.sidebar.classList.remove('mobile-active');
-            this.toggle.classList.remove('active');
+    unregister(name) {
+        const component = this.components.get(name);
+        if (!component) return;
+        if (typeof component.destroy === 'function') {
+            component.destroy();
         }
+        this.components.delete(name);
     }
-}
 
-class Application {
-    constructor() {
-        this.input = new InputHandler();
-        this.ann = new NeuralNetworkSystem();
-        this.bg = new BackgroundSystem();
-        this.scrollSpy = new ScrollSpy();
-        this.clock = new ClockController();
-        this.mobileMenu = new MobileMenuController();
-        
-        this.running = false;
+    get(name) {
+        return this.components.get(name);
+    }
+
+    // Iterates a snapshot: components registered mid-hook were already initialised by register().
+    invoke(hook, ...args) {
+        Array.from(this.components).forEach(([name, component]) => {
+            if (typeof component[hook] !== 'function') return;
+            try {
+                component[hook](...args);
+            } catch (err) {
+                console.error(`[${CONFIG.core.id}] ${name}.${hook}() failed`, err);
+            }
+        });
     }
 
     boot() {
+        if (this.booted) return;
+        // Set first so components registered from another component's init() are initialised too
+        this.booted = true;
+        this.invoke('init');
+
+        this.startLoop();
         this.initTypewriters();
-        this.initSmoothScroll();
         this.initGlitchEffects();
-        this.startLoop();
+        Events.on('motion-change', this.handleMotion);
+        Events.on('locale-change', this.handleLocale);
+        Events.emit('boot');
     }
 
+    // Under reduced motion TypingEngine renders the first phrase and stops.
     initTypewriters() {
-        const roleTypewriter = document.getElementById('sidebar-role-typewriter');
-        if (roleTypewriter && typeof Typed !== 'undefined') {
-            new Typed('#sidebar-role-typewriter', {
-                strings: ['ML Engineer', 'Data Scientist', 'M.Tech Scholar', 'Python Dev'],
+        this.typewriters.forEach(typewriter => typewriter.destroy());
+        this.typewriters = [];
+
+        if (document.getElementById('sidebar-role-typewriter')) {
+            this.typewriters.push(new TypingEngine('sidebar-role-typewriter', LocaleManager.t('typewriter.role'), {
                 typeSpeed: 50,
-                backSpeed: 30,
-                loop: true,
-                showCursor: true,
-                cursorChar: '|'
-            });
-        } else if (roleTypewriter) {
-            new TypingEngine('sidebar-role-typewriter', [
-                'ML Engineer', 'Data Scientist', 'M.Tech Scholar', 'Python Dev'
-            ]);
-        }
-
-        const heroTypewriter = document.getElementById('hero-typewriter');
-        if (heroTypewriter && typeof Typed !== 'undefined') {
-            new Typed('#hero-typewriter', {
-                strings: [
-                    'MACHINE LEARNING ENGINEER', 
-                    'DEEP LEARNING RESEARCHER', 
-                    'COMPUTER VISION SPECIALIST',
-                    'AI ENTHUSIAST'
-                ],
+                deleteSpeed: 30,
+                delay: 700
+            }));
+        }
+        if (document.getElementById('hero-typewriter')) {
+            this.typewriters.push(new TypingEngine('hero-typewriter', LocaleManager.t('typewriter.hero'), {
                 typeSpeed: 40,
-                backSpeed: 20,
+                deleteSpeed: 20,
                 startDelay: 1000,
-                backDelay: 2000,
-                loop: true,
-                showCursor: true,
-                cursorChar: '_'
-            });
-        } else if (heroTypewriter) {
-             new TypingEngine('hero-typewriter', [
-                'MACHINE LEARNING ENGINEER', 
-                'DEEP LEARNING RESEARCHER', 
-                'COMPUTER VISION SPECIALIST'
-            ], { waitDelay: 3000 });
+                delay: 2000,
+                cursor: '_'
+            }));
         }
-    }
-
-    initSmoothScroll() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const targetId = this.getAttribute('href');
-                if (targetId === '#') return;
-                const target = document.querySelector(targetId);
-                if (target) {
-                    const offset = CONFIG.core.isMobile ? 80 : 0;
-                    const top = target.getBoundingClientRect().top + window.pageYOffset - offset;
-                    window.scrollTo({
-                        top: top,
-                        behavior: 'smooth'
-                    });
-                }
-            });
+        this.typewriters.forEach(typewriter => {
+            typewriter.start();
+            // Rebuilt on locale or motion change while paused; resume() releases the hold
+            if (!this.running) typewriter.pause('app');
         });
     }
 
@@ -1014,37 +6314,81 @@ class Application {
     }
 
     update() {
-        STATE.time.now = performance.now();
-        STATE.time.delta = STATE.time.now - STATE.time.last;
-        
-        this.ann.update();
-        this.bg.update();
-        
-        STATE.time.last = STATE.time.now;
-        STATE.time.elapsed += STATE.time.delta;
+        const { now, frame } = this.timestep.tick(dt => this.invoke('update', dt));
+
+        STATE.time.now = now;
+        STATE.time.delta = frame;
+        STATE.time.last = now;
+        STATE.time.elapsed += frame;
+        STATE.time.step = this.timestep.step;
+        STATE.time.alpha = this.timestep.alpha;
     }
 
     draw() {
-        this.ann.draw();
-        this.bg.draw();
+        this.invoke('draw', this.timestep.alpha);
     }
 
     loop() {
         if (!this.running) return;
+        const start = performance.now();
         this.update();
         this.draw();
-        requestAnimationFrame(() => this.loop());
+        STATE.time.work = performance.now() - start;
+        this.frameId = requestAnimationFrame(() => this.loop());
     }
 
     startLoop() {
+        if (this.running) return;
         this.running = true;
+        this.timestep.reset();
         this.loop();
     }
+
+    stopLoop() {
+        this.running = false;
+        cancelAnimationFrame(this.frameId);
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.stopLoop();
+        this.invoke('pause');
+        this.typewriters.forEach(typewriter => typewriter.pause('app'));
+        Events.emit('pause');
+    }
+
+    resume() {
+        if (!this.booted || this.running) return;
+        this.invoke('resume');
+        this.typewriters.forEach(typewriter => typewriter.resume('app'));
+        this.startLoop();
+        Events.emit('resume');
+    }
+
+    destroy() {
+        this.stopLoop();
+        Events.off('motion-change', this.handleMotion);
+        Events.off('locale-change', this.handleLocale);
+        this.typewriters.forEach(typewriter => typewriter.destroy());
+        this.typewriters = [];
+        Array.from(this.components.keys()).reverse().forEach(name => this.unregister(name));
+        this.booted = false;
+    }
 }
 
 class TerminalSimulator {
     constructor() {
-        this.init();
+        this.commands = {};
+        this.history = [];
+        this.historyIndex = 0;
+        this.isOpen = false;
+        this.overlay = null;
+        this.lastFocus = null;
+        this.prompt = 'user@portfolio:~$';
+        this.handleGlobalKey = this.handleGlobalKey.bind(this);
+        this.handleLocale = () => this.relabel();
+
+        this.registerDefaults();
     }
     
     init() {
@@ -1053,27 +6397,419 @@ class TerminalSimulator {
         console.log(`%c MOUNTING FILE SYSTEMS... [OK]`, 'color: #00ff9d;');
         console.log(`%c INITIALIZING NEURAL ENGINE... [OK]`, 'color: #ff0055;');
         console.log(`%c WELCOME TO ABHISHEK KUMAR PORTFOLIO V4.2`, 'background: #00f0ff; color: #000; padding: 2px 5px; font-weight: bold;');
+
+        this.mount();
     }
-}
 
-const App = new Application();
-const Terminal = new TerminalSimulator();
+    destroy() {
+        this.close();
+        document.removeEventListener('keydown', this.handleGlobalKey);
+        Events.off('locale-change', this.handleLocale);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    // description may be a catalog key; help translates it when printed.
+    register(name, command) {
+        this.commands[name] = Object.assign({ description: '', usage: name, complete: null }, command);
+    }
+
+    unregister(name) {
+        delete this.commands[name];
+    }
+
+    mount() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'terminal-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <div class="terminal-window" role="dialog" aria-modal="true">
+                <div class="terminal-titlebar">
+                    <span class="terminal-title">${CONFIG.core.id} // TERMINAL</span>
+                    <button type="button" class="terminal-close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="terminal-output" aria-live="polite"></div>
+                <form class="terminal-line" autocomplete="off">
+                    <label class="prompt-user" for="terminal-input">${this.prompt}</label>
+                    <input type="text" id="terminal-input" class="terminal-input" spellcheck="false" autocapitalize="off">
+                </form>
+            </div>`;
+        document.body.appendChild(this.overlay);
+
+        this.output = this.overlay.querySelector('.terminal-output');
+        this.input = this.overlay.querySelector('.terminal-input');
+
+        this.overlay.querySelector('.terminal-close').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        this.overlay.querySelector('.terminal-line').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.execute(this.input.value);
+            this.input.value = '';
+        });
+        this.input.addEventListener('keydown', this.handleInputKey.bind(this));
+
+        const badge = document.querySelector('.terminal-badge');
+        if (badge) {
+            badge.setAttribute('role', 'button');
+            badge.setAttribute('tabindex', '0');
+            badge.addEventListener('click', () => this.open());
+            badge.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open();
+                }
+            });
+        }
+
+        document.addEventListener('keydown', this.handleGlobalKey);
+        Events.on('locale-change', this.handleLocale);
+        this.relabel();
+
+        this.print(LocaleManager.t('terminal.boot'), 'accent');
+        this.print(LocaleManager.t('terminal.kernel'), 'ok');
+        this.print(LocaleManager.t('terminal.mount'), 'ok');
+        this.print(LocaleManager.t('terminal.welcome', { version: CONFIG.core.id }), 'accent');
+        this.print(LocaleManager.t('terminal.hint'), 'dim');
+    }
+
+    // Lines already printed stay in the language they were written in.
+    relabel() {
+        if (!this.overlay) return;
+        this.overlay.querySelector('.terminal-window').setAttribute('aria-label', LocaleManager.t('terminal.label'));
+        this.overlay.querySelector('.terminal-close').setAttribute('aria-label', LocaleManager.t('terminal.close'));
+        const badge = document.querySelector('.terminal-badge');
+        if (badge) badge.setAttribute('title', LocaleManager.t('terminal.open'));
+    }
+
+    handleGlobalKey(e) {
+        const tag = e.target.tagName;
+        const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || e.target.isContentEditable;
+
+        if (this.isOpen && e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (!isTyping && e.key === CONFIG.ui.terminalHotkey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.toggle();
+        }
+    }
+
+    handleInputKey(e) {
+        if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.navigateHistory(-1);
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.navigateHistory(1);
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this.complete();
+        } else if (e.key === 'l' && e.ctrlKey) {
+            e.preventDefault();
+            this.clear();
+        }
+    }
+
+    open() {
+        if (!this.overlay || this.isOpen) return;
+        this.isOpen = true;
+        this.lastFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.focus();
+        Events.emit('terminal-open');
+    }
+
+    close() {
+        if (!this.overlay || !this.isOpen) return;
+        this.isOpen = false;
+        this.overlay.hidden = true;
+        if (this.lastFocus && this.lastFocus.focus) {
+            this.lastFocus.focus();
+        }
+        Events.emit('terminal-close');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    print(text, type) {
+        if (!this.output) return;
+        const line = document.createElement('div');
+        line.className = type ? `terminal-text t-${type}` : 'terminal-text';
+        line.textContent = text;
+        this.output.appendChild(line);
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    clear() {
+        if (this.output) {
+            this.output.innerHTML = '';
+        }
+    }
+
+    execute(line) {
+        const input = line.trim();
+        this.print(`${this.prompt} ${input}`, 'echo');
+        if (!input) return;
+
+        this.history.push(input);
+        this.historyIndex = this.history.length;
+
+        const [name, ...args] = input.split(/\s+/);
+        const command = this.commands[name.toLowerCase()];
+
+        if (!command) {
+            this.print(LocaleManager.t('terminal.notFound', { name }), 'err');
+            return;
+        }
+
+        try {
+            command.run(args, this);
+        } catch (err) {
+            this.print(`${name}: ${err.message}`, 'err');
+        }
+        Events.emit('terminal-command', { name: name.toLowerCase(), args });
+    }
+
+    navigateHistory(step) {
+        if (this.history.length === 0) return;
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+        this.input.value = this.history[this.historyIndex] || '';
+        this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    }
+
+    complete() {
+        const value = this.input.value.replace(/^\s+/, '');
+        const parts = value.split(/\s+/);
+        let candidates;
+
+        if (parts.length <= 1) {
+            candidates = Object.keys(this.commands).filter(name => name.startsWith(parts[0].toLowerCase()));
+        } else {
+            const command = this.commands[parts[0].toLowerCase()];
+            const partial = parts[parts.length - 1].toLowerCase();
+            const options = command && command.complete ? command.complete(parts.slice(1, -1)) : [];
+            candidates = options.filter(option => option.startsWith(partial));
+        }
+
+        if (candidates.length === 0) return;
+
+        const head = parts.slice(0, -1).join(' ');
+        const prefix = head ? `${head} ` : '';
+
+        if (candidates.length === 1) {
+            this.input.value = `${prefix}${candidates[0]} `;
+        } else {
+            this.print(`${this.prompt} ${value}`, 'echo');
+            this.print(candidates.join('    '), 'dim');
+            this.input.value = `${prefix}${TerminalSimulator.commonPrefix(candidates)}`;
+        }
+    }
+
+    getContent() {
+        return typeof PORTFOLIO !== 'undefined' ? PORTFOLIO : null;
+    }
+
+    getSections() {
+        return Array.from(document.querySelectorAll('section[id]')).map(section => section.id);
+    }
+
+    findProject(query) {
+        const content = this.getContent();
+        if (!content || !query) return null;
+        const slug = Utils.slugify(query);
+        return content.projects.find(project => Utils.slugify(project.title) === slug) ||
+            content.projects.find(project => Utils.slugify(project.title).startsWith(slug)) ||
+            null;
+    }
+
+    registerDefaults() {
+        const listings = ['projects', 'skills', 'education', 'sections'];
+
+        this.register('help', {
+            description: 'terminal.help.help',
+            usage: 'help [command]',
+            complete: () => Object.keys(this.commands),
+            run: (args, term) => {
+                const command = args[0] && term.commands[args[0]];
+                if (command) {
+                    term.print(LocaleManager.t('terminal.usage', { usage: command.usage }), 'accent');
+                    term.print(LocaleManager.t(command.description));
+                    return;
+                }
+                Object.keys(term.commands).sort().forEach(name => {
+                    term.print(`${term.commands[name].usage.padEnd(22)} ${LocaleManager.t(term.commands[name].description)}`);
+                });
+            }
+        });
+
+        this.register('ls', {
+            description: 'terminal.help.ls',
+            usage: `ls [${listings.join('|')}]`,
+            complete: () => listings,
+            run: (args, term) => {
+                const content = term.getContent();
+                const target = args[0] || 'sections';
+                if (target === 'sections') {
+                    term.print(term.getSections().join('    '));
+                } else if (!content || !content[target]) {
+                    term.print(LocaleManager.t('terminal.ls.missing', { target }), 'err');
+                } else if (target === 'projects') {
+                    content.projects.forEach(project => term.print(`${Utils.slugify(project.title).padEnd(34)} [${project.stack.join(', ')}]`));
+                } else if (target === 'skills') {
+                    content.skills.core.forEach(skill => term.print(`${skill.name.padEnd(16)} ${'#'.repeat(Math.round(skill.level / 10)).padEnd(10, '.')} ${skill.level}%`));
+                    term.print(content.skills.soft.map(skill => skill.name).join(' / '), 'dim');
+                } else if (target === 'education') {
+                    content.education.forEach(entry => term.print(`${entry.period.padEnd(20)} ${entry.degree}`));
+                }
+            }
+        });
+
+        this.register('cat', {
+            description: 'terminal.help.cat',
+            usage: 'cat <about|project>',
+            complete: () => {
+                const projects = this.getContent() ? this.getContent().projects.map(project => Utils.slugify(project.title)) : [];
+                return ['about'].concat(projects);
+            },
+            run: (args, term) => {
+                const content = term.getContent();
+                if (!args[0]) throw new Error(LocaleManager.t('terminal.cat.operand'));
+                if (args[0] === 'about' && content) {
+                    content.about.bio.forEach(paragraph => term.print(paragraph.replace(/\*\*/g, '')));
+                    content.about.specs.forEach(spec => term.print(`${(spec.label + ':').padEnd(12)} ${spec.value}`, 'accent'));
+                    return;
+                }
+                const project = term.findProject(args.join(' '));
+                if (!project) throw new Error(LocaleManager.t('terminal.cat.missing', { name: args[0] }));
+                term.print(project.title, 'accent');
+                term.print(project.description.replace(/\*\*/g, ''));
+                term.print(LocaleManager.t('terminal.cat.stack', { stack: project.stack.join(', ') }), 'dim');
+            }
+        });
+
+        this.register('open', {
+            description: 'terminal.help.open',
+            usage: 'open <project>',
+            complete: () => this.getContent() ? this.getContent().projects.map(project => Utils.slugify(project.title)) : [],
+            run: (args, term) => {
+                const project = term.findProject(args.join(' '));
+                if (!project) throw new Error(LocaleManager.t('terminal.open.missing', { name: args[0] || '<project>' }));
+                term.print(LocaleManager.t('terminal.open.opening', { title: project.title }), 'ok');
+                if (project.repo && project.repo !== '#') {
+                    term.print(LocaleManager.t('terminal.open.repo', { url: project.repo }), 'dim');
+                }
+                term.close();
+                App.router.navigate(`/projects/${Utils.slugify(project.title)}`);
+            }
+        });
+
+        this.register('goto', {
+            description: 'terminal.help.goto',
+            usage: 'goto <section>',
+            complete: () => this.getSections(),
+            run: (args, term) => {
+                const section = args[0] && document.getElementById(args[0].toLowerCase());
+                if (!section || section.tagName !== 'SECTION') throw new Error(LocaleManager.t('terminal.goto.missing', { name: args[0] || '<section>' }));
+                term.close();
+                App.router.navigate(`/${section.id}`);
+            }
+        });
+
+        this.register('theme', {
+            description: 'terminal.help.theme',
+            usage: 'theme <name>',
+            complete: () => App.theme.names(),
+            run: (args, term) => {
+                if (!args[0]) {
+                    term.print(App.theme.names().map(name => name === App.theme.current ? `*${name}` : name).join('    '));
+                    return;
+                }
+                if (!CONFIG.theme.themes[args[0]]) throw new Error(LocaleManager.t('terminal.theme.unknown', { name: args[0] }));
+                App.theme.set(args[0]);
+                term.print(LocaleManager.t('terminal.theme.set', { name: args[0] }), 'ok');
+            }
+        });
+
+        this.register('analytics', {
+            description: 'terminal.help.analytics',
+            usage: 'analytics [on|off]',
+            complete: () => ['on', 'off'],
+            run: (args, term) => {
+                const analytics = App.analytics;
+                if (args[0] === 'on' || args[0] === 'off') {
+                    if (AnalyticsTracker.doNotTrack()) throw new Error(LocaleManager.t('terminal.analytics.dnt'));
+                    analytics.setOptOut(args[0] === 'off');
+                } else if (args[0]) {
+                    throw new Error(LocaleManager.t('terminal.analytics.unknown', { option: args[0] }));
+                }
+                const note = AnalyticsTracker.doNotTrack() ? LocaleManager.t('terminal.analytics.dntNote') : '';
+                term.print(`${LocaleManager.t(analytics.enabled ? 'terminal.analytics.on' : 'terminal.analytics.off')}${note}`, analytics.enabled ? 'ok' : 'dim');
+                term.print(LocaleManager.t('terminal.analytics.sinks', {
+                    sinks: analytics.sinks.map(entry => entry.name).join(', ') || LocaleManager.t('terminal.analytics.none'),
+                    stored: Utils.load('analytics', []).length
+                }), 'dim');
+            }
+        });
+
+        this.register('history', {
+            description: 'terminal.help.history',
+            usage: 'history',
+            run: (args, term) => {
+                term.history.forEach((entry, i) => term.print(`${String(i + 1).padStart(4)}  ${entry}`));
+            }
+        });
+
+        this.register('clear', {
+            description: 'terminal.help.clear',
+            usage: 'clear',
+            run: (args, term) => term.clear()
+        });
+
+        this.register('exit', {
+            description: 'terminal.help.exit',
+            usage: 'exit',
+            run: (args, term) => term.close()
+        });
+    }
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => App.boot());
-} else {
-    App.boot();
+    static commonPrefix(words) {
+        return words.reduce((prefix, word) => {
+            let i = 0;
+            while (i < prefix.length && prefix[i] === word[i]) i++;
+            return prefix.slice(0, i);
+        });
+    }
 }
 
-window.App = App;
-window.STATE = STATE;
-window.CONFIG = CONFIG;
+const App = IS_WORKER ? null : new Application();
+const Terminal = IS_WORKER ? null : App.register('terminal', new TerminalSimulator());
 
-window.addEventListener('scroll', () => {
-    if (window.scrollY > CONFIG.ui.scrollThreshold) {
-        document.body.classList.add('scrolled-down');
+if (!IS_WORKER) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => App.boot());
     } else {
-        document.body.classList.remove('scrolled-down');
+        App.boot();
     }
-});
 
+    window.App = App;
+    window.STATE = STATE;
+    window.CONFIG = CONFIG;
+
+    window.addEventListener('scroll', () => {
+        if (window.scrollY > CONFIG.ui.scrollThreshold) {
+            document.body.classList.add('scrolled-down');
+        } else {
+            document.body.classList.remove('scrolled-down');
+        }
+    });
+}
@@ -0,0 +1,123 @@
+importScripts('script.js');
+
+// Offline support. The app shell (CONFIG.pwa.shell) is precached on install. Navigations try
+// the network for CONFIG.pwa.networkTimeout before falling back to the cached shell and then
+// offline.html. Same-origin scripts are network-first too, so a fresh page never runs the
+// previous deploy's JS. Other requests are stale-while-revalidate: local files and the shell's
+// CDN scripts from the shell cache, fonts and icon sets from a runtime cache that is kept trimmed.
+class ServiceWorkerHost {
+    constructor(scope) {
+        this.scope = scope;
+        this.shellCache = `${CONFIG.core.storagePrefix}-shell-v${CONFIG.pwa.version}`;
+        this.assetCache = `${CONFIG.core.storagePrefix}-assets-v${CONFIG.pwa.version}`;
+        this.base = new URL('./', scope.location.href);
+
+        scope.addEventListener('install', (e) => e.waitUntil(this.install()));
+        scope.addEventListener('activate', (e) => e.waitUntil(this.activate()));
+        scope.addEventListener('fetch', (e) => this.handleFetch(e));
+    }
+
+    url(path) {
+        return new URL(path, this.base).href;
+    }
+
+    // Same-origin files must all arrive or the install fails and is retried on the next visit;
+    // a CDN outage only costs the entries it serves.
+    install() {
+        const remote = url => /^https?:/.test(url);
+        const precache = (cacheName, urls) => caches.open(cacheName).then(cache => Promise.all([
+            cache.addAll(urls.filter(url => !remote(url)).map(url => new Request(this.url(url), { cache: 'reload' }))),
+            ...urls.filter(remote).map(url => cache.add(new Request(url, { mode: 'cors', cache: 'reload' })).catch(err => {
+                console.warn(`[${CONFIG.core.id}] Could not precache ${url}`, err);
+            }))
+        ]));
+
+        return Promise.all([
+            precache(this.shellCache, CONFIG.pwa.shell),
+            precache(this.assetCache, CONFIG.pwa.assets)
+        ]).then(() => this.scope.skipWaiting());
+    }
+
+    activate() {
+        const current = [this.shellCache, this.assetCache];
+        return caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(`${CONFIG.core.storagePrefix}-`) && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => this.scope.clients.claim());
+    }
+
+    handleFetch(e) {
+        const request = e.request;
+        if (request.method !== 'GET') return;
+        const url = new URL(request.url);
+
+        if (request.mode === 'navigate') {
+            e.respondWith(this.navigate(request, url));
+        } else if (url.origin === this.base.origin && url.pathname.endsWith('.js')) {
+            e.respondWith(this.networkFirst(request, this.shellCache));
+        } else if (CONFIG.pwa.assetHosts.includes(url.hostname)) {
+            e.respondWith(this.staleWhileRevalidate(e, this.assetCache));
+        } else if (url.origin === this.base.origin || CONFIG.pwa.shell.includes(request.url)) {
+            e.respondWith(this.staleWhileRevalidate(e, this.shellCache));
+        }
+    }
+
+    // Only the shell page itself refreshes the cached copy; other pages (the a11y test page)
+    // are served from the network and fall back to offline.html.
+    navigate(request, url) {
+        const isShell = url.pathname === this.base.pathname || url.pathname === new URL('index.html', this.base).pathname;
+        const network = fetch(request).then(response => {
+            if (isShell && response.ok) {
+                const copy = response.clone();
+                caches.open(this.shellCache).then(cache => cache.put(this.url('index.html'), copy));
+            }
+            return response;
+        });
+        const fallback = () => (isShell ? caches.match(this.url('index.html')) : Promise.resolve(null))
+            .then(cached => cached || caches.match(this.url('offline.html')))
+            .then(cached => cached || Response.error());
+        const slow = new Promise(resolve => setTimeout(resolve, CONFIG.pwa.networkTimeout))
+            .then(() => isShell ? caches.match(this.url('index.html')) : null)
+            .then(cached => cached || network);
+
+        return Promise.race([network.catch(fallback), slow.catch(fallback)]);
+    }
+
+    networkFirst(request, cacheName) {
+        return fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(cacheName).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }).catch(err => caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            throw err;
+        }));
+    }
+
+    staleWhileRevalidate(e, cacheName) {
+        return caches.open(cacheName).then(cache => cache.match(e.request).then(cached => {
+            const network = fetch(e.request).then(response => {
+                if (response.ok) {
+                    const stored = cache.put(e.request, response.clone());
+                    if (cacheName === this.assetCache) stored.then(() => this.trim(cache));
+                }
+                return response;
+            });
+            if (!cached) return network;
+            e.waitUntil(network.catch(() => null));
+            return cached;
+        }));
+    }
+
+    // Drops the oldest runtime entries (webfont files add up quickly).
+    trim(cache) {
+        return cache.keys().then(keys => Promise.all(
+            keys.slice(0, Math.max(0, keys.length - CONFIG.pwa.assetEntries)).map(key => cache.delete(key))
+        ));
+    }
+}
+
+new ServiceWorkerHost(self);